@@ -0,0 +1,307 @@
+// Known errors behind the Error Explainer: broker errors (as php-amqplib
+// reports them), php-amqplib exceptions and the package's own exceptions.
+//
+//   {
+//     id: "no-queue",
+//     title: "Queue does not exist",
+//     pattern: /NOT_FOUND - no queue '(?<queue>[^']*)'/,
+//     cause: "Markdown. {queue} is replaced by the named group of the match.",
+//     keys: ["queue_passive"],     // config keys, placeholders allowed
+//     fix: "Markdown with the fix, code fences included",
+//     link: "page/section",        // optional docs section with the background
+//     overrides: ["timeout"],      // less specific entries this one replaces
+//   }
+//
+// Entries are tried in order and every match is reported, in the order
+// the errors appear in the pasted text.
+const ERROR_CATALOG = [
+  {
+    id: "inequivalent-queue-argument",
+    title: "Queue exists with other arguments",
+    pattern:
+      /PRECONDITION_FAILED - inequivalent arg '(?<arg>x-[^']+)' for queue '(?<queue>[^']*)' in vhost '(?<vhost>[^']*)': received (?:the value )?(?<received>'[^']*'|none)(?: of type '\w+')? but current is (?:the value )?(?<current>'[^']*'|none)/,
+    cause:
+      "Queue `{queue}` already exists with `{arg}` = {current}, but this declaration asks for {received}. " +
+      "Queue arguments are fixed when a queue is created, so the broker refuses the new declaration.",
+    keys: ["queue_properties.{arg}"],
+    fix:
+      "Make `queue_properties` match the existing queue, or delete the queue so it is declared again with the new arguments " +
+      "(its messages are lost):\n\n```php\napp('Amqp')->queueDelete('{queue}');\n```\n\n" +
+      "Limits and TTLs that change over time are easier to manage as a [policy](#policy-builder).",
+    link: "advanced/queue-types",
+  },
+  {
+    id: "inequivalent-queue-flag",
+    title: "Queue exists with other flags",
+    pattern:
+      /PRECONDITION_FAILED - inequivalent arg '(?<arg>durable|auto_delete|exclusive)' for queue '(?<queue>[^']*)' in vhost '(?<vhost>[^']*)': received '(?<received>[^']*)' but current is '(?<current>[^']*)'/,
+    cause: "Queue `{queue}` exists with `{arg}` = {current}, but this declaration asks for {received}.",
+    keys: ["queue_{arg}"],
+    fix:
+      "Set `queue_{arg}` to `{current}` to match the existing queue, declare it passively with `queue_passive`, " +
+      "or delete the queue and let the package declare it again.",
+    link: "troubleshooting/queue-not-found",
+  },
+  {
+    id: "inequivalent-exchange",
+    title: "Exchange exists with other settings",
+    pattern:
+      /PRECONDITION_FAILED - inequivalent arg '(?<arg>type|durable|auto_delete|internal)' for exchange '(?<exchange>[^']*)' in vhost '(?<vhost>[^']*)': received '(?<received>[^']*)' but current is '(?<current>[^']*)'/,
+    cause: "Exchange `{exchange}` exists with `{arg}` = `{current}`, but this declaration asks for `{received}`.",
+    keys: ["exchange_{arg}", "exchange_passive"],
+    fix:
+      "Set `exchange_{arg}` to `{current}`, or use `exchange_passive` to only check that the exchange exists:\n\n" +
+      "```php\nAmqp::publish('routing.key', $body, [\n    'exchange'         => '{exchange}',\n    'exchange_passive' => true,\n]);\n```",
+    link: "troubleshooting/exchange-type-mismatch",
+  },
+  {
+    id: "invalid-queue-argument",
+    title: "Queue argument not accepted",
+    pattern: /PRECONDITION_FAILED - invalid arg '(?<arg>[^']+)' for queue '(?<queue>[^']*)'/,
+    cause:
+      "The broker does not accept `{arg}` for queue `{queue}`. Either the value has the wrong type, or the queue type does not support the argument " +
+      "(quorum queues and streams reject several classic-only arguments).",
+    keys: ["queue_properties.{arg}", "queue_properties.x-queue-type"],
+    fix:
+      "Send numbers as PHP integers, not strings, and only use arguments the queue type supports. " +
+      "The [Queue Arguments Builder](#queue-builder) checks both before you deploy.",
+    link: "advanced/queue-types",
+  },
+  {
+    id: "no-queue",
+    title: "Queue does not exist",
+    pattern: /NOT_FOUND - no queue '(?<queue>[^']*)' in vhost '(?<vhost>[^']*)'/,
+    cause:
+      "Queue `{queue}` does not exist in vhost `{vhost}`. Consuming from a queue, or declaring it with `queue_passive`, does not create it.",
+    keys: ["queue_passive", "vhost"],
+    fix:
+      "Turn `queue_passive` off so the consumer declares the queue, or declare it when publishing:\n\n" +
+      "```php\nAmqp::publish('routing.key', $body, ['queue' => '{queue}']);\n```\n\n" +
+      "Also check that both sides use the same `vhost`.",
+    link: "troubleshooting/queue-not-found",
+  },
+  {
+    id: "no-exchange",
+    title: "Exchange does not exist",
+    pattern: /NOT_FOUND - no exchange '(?<exchange>[^']*)' in vhost '(?<vhost>[^']*)'/,
+    cause:
+      "Exchange `{exchange}` does not exist in vhost `{vhost}`. It was declared passively, or a dead letter or alternate exchange points at it.",
+    keys: ["exchange", "exchange_passive", "queue_properties.x-dead-letter-exchange"],
+    fix: "Turn `exchange_passive` off so the exchange is declared, or create it before the queues that refer to it.",
+    link: "publishing/exchange-types",
+  },
+  {
+    id: "login-refused",
+    title: "Login refused",
+    pattern: /ACCESS_REFUSED - Login was refused/,
+    cause:
+      "The broker rejected the user name or password. The built-in `guest` user may only connect from localhost.",
+    keys: ["username", "password"],
+    fix:
+      "Check `AMQP_USER` and `AMQP_PASSWORD` (quote passwords with `#` or spaces in `.env`) and clear a cached config with " +
+      "`php artisan config:clear`. For remote clients create a user:\n\n" +
+      "```bash\nrabbitmqctl add_user app 'secret'\nrabbitmqctl set_permissions -p / app '.*' '.*' '.*'\n```",
+    link: "configuration/environment-variables",
+  },
+  {
+    id: "resource-access-refused",
+    title: "No permission on a queue or exchange",
+    pattern:
+      /ACCESS_REFUSED - (?:access to )?(?<kind>queue|exchange) '(?<name>[^']*)' in vhost '(?<vhost>[^']*)' refused for user '(?<user>[^']*)'/,
+    cause: "User `{user}` is logged in, but its permissions in vhost `{vhost}` do not cover {kind} `{name}`.",
+    keys: ["username", "vhost"],
+    fix:
+      "Grant configure, write and read permissions that match the names the application uses:\n\n" +
+      "```bash\nrabbitmqctl set_permissions -p '{vhost}' {user} '.*' '.*' '.*'\n```",
+    link: "configuration/environment-variables",
+  },
+  {
+    id: "vhost",
+    title: "Vhost missing or not permitted",
+    pattern: /NOT_ALLOWED - (?:vhost (?<vhost>\S+) not found|access to vhost '(?<denied>[^']*)' refused for user '(?<user>[^']*)')/,
+    cause: "The vhost does not exist, or the user has no permissions on it. The default vhost is `/`.",
+    keys: ["vhost"],
+    fix: "Create the vhost and grant the user access:\n\n```bash\nrabbitmqctl add_vhost orders\nrabbitmqctl set_permissions -p orders app '.*' '.*' '.*'\n```",
+    link: "configuration/environment-variables",
+  },
+  {
+    id: "exclusive-queue",
+    title: "Queue locked by another connection",
+    pattern: /RESOURCE_LOCKED - cannot obtain exclusive access to locked queue '(?<queue>[^']*)'|ACCESS_REFUSED - queue '(?<used>[^']*)' in vhost '[^']*' in exclusive use/,
+    cause:
+      "The queue is exclusive to another connection, or another consumer subscribed with `consumer_exclusive`.",
+    keys: ["queue_exclusive", "consumer_exclusive"],
+    fix: "Only use exclusive queues for per-connection queues (like RPC replies). Shared work queues need `queue_exclusive` and `consumer_exclusive` off.",
+    link: "consuming/consume-with-options",
+  },
+  {
+    id: "unknown-delivery-tag",
+    title: "Unknown delivery tag",
+    pattern: /PRECONDITION_FAILED - unknown delivery tag (?<tag>\d+)/,
+    cause:
+      "A message was acknowledged or rejected twice, on another channel than it arrived on, or while `consumer_no_ack` was on. " +
+      "The broker closes the channel.",
+    keys: ["consumer_no_ack"],
+    fix: "Acknowledge or reject each message exactly once, through the resolver passed to the callback, and leave `consumer_no_ack` off when you acknowledge.",
+    link: "consuming/rejecting-messages",
+  },
+  {
+    id: "message-too-large",
+    title: "Message too large",
+    pattern: /PRECONDITION_FAILED - message size (?<size>\d+) is larger than (?:the )?configured max size (?<max>\d+)/,
+    cause: "The message body ({size} bytes) exceeds the broker's `max_message_size` ({max} bytes).",
+    keys: [],
+    fix: "Store large payloads elsewhere (e.g. object storage) and publish a reference, or raise `max_message_size` in `rabbitmq.conf`.",
+  },
+  {
+    id: "connection-refused",
+    title: "Connection refused",
+    pattern: /(?:unable to connect to (?:tcp|ssl|tls):\/\/(?<address>\S+?)(?:\s|\)|$)|Connection refused|AMQPIOException|php_network_getaddresses)/,
+    cause: "PHP could not open a TCP connection to the broker. It is not running, the host name is wrong, or a firewall blocks the port.",
+    keys: ["host", "port"],
+    fix: "Check `AMQP_HOST` and `AMQP_PORT`. In Docker, `localhost` is the PHP container itself: use the broker's service name.",
+    link: "troubleshooting/cannot-connect-to-rabbitmq",
+  },
+  {
+    id: "publish-confirm-timeout",
+    title: "Publisher confirm timed out",
+    pattern: /wait_for_pending_acks|waitForConfirms/,
+    cause: "The broker did not confirm the publish within `publish_timeout` seconds.",
+    keys: ["publish_timeout", "publisher_confirms", "wait_for_confirms"],
+    fix: "Raise `publish_timeout` for slow brokers, or set `wait_for_confirms` to false and check confirms in batches.",
+    link: "advanced/publisher-confirms",
+    overrides: ["timeout"],
+  },
+  {
+    id: "timeout",
+    title: "Timed out waiting for the broker",
+    pattern: /AMQPTimeoutException|timed out after (?<seconds>[\d.]+) sec/,
+    cause:
+      "php-amqplib waited longer than its timeout for data. On connect this is `connection_timeout`; later it is " +
+      "`read_write_timeout`, or the consumer's `timeout` when no message arrived.",
+    keys: ["connect_options", "timeout"],
+    fix:
+      "For consumers that should wait forever set `timeout` to 0 and `persistent` to true. Otherwise raise the timeouts in `connect_options`:\n\n" +
+      "```php [config/amqp.php]\n'connect_options' => [\n    'connection_timeout' => 10,\n    'read_write_timeout' => 130,\n],\n```",
+    link: "consuming/consume-with-options",
+  },
+  {
+    id: "heartbeat",
+    title: "Heartbeat missed",
+    pattern: /AMQPHeartbeatMissedException|Missed server heartbeat|missed heartbeats from client/i,
+    cause:
+      "No heartbeat arrived in time. php-amqplib only handles heartbeats between messages, so a callback that works longer than two heartbeat intervals loses the connection.",
+    keys: ["connect_options"],
+    fix: "Raise `heartbeat` in `connect_options` (and keep `read_write_timeout` at least twice as long), or move long work out of the callback.",
+    link: "troubleshooting/cannot-connect-to-rabbitmq",
+  },
+  {
+    id: "connection-closed",
+    title: "Connection closed",
+    pattern: /Broken pipe or closed connection|CONNECTION_FORCED/,
+    cause:
+      "The connection was closed underneath the client: the broker restarted or closed it, a load balancer dropped an idle connection, or heartbeats were missed.",
+    keys: ["connect_options"],
+    fix: "Enable heartbeats so idle connections stay alive, and run consumers under a supervisor that restarts them.",
+    link: "troubleshooting/cannot-connect-to-rabbitmq",
+    overrides: ["heartbeat"],
+  },
+  {
+    id: "exchange-not-defined",
+    title: "No exchange configured",
+    pattern: /exchange is not defined|Exchange is not defined in configuration/,
+    cause: "`Bschmitt\\Amqp\\Exception\\Configuration`: the connection has no `exchange` set.",
+    keys: ["exchange"],
+    fix: "Set `exchange` in the connection block of `config/amqp.php`, or pass it in the properties of the call.",
+    link: "configuration/basic-configuration",
+  },
+  {
+    id: "invalid-exchange-type",
+    title: "Invalid exchange type",
+    pattern: /Invalid exchange type '(?<type>[^']*)'/,
+    cause: "`Bschmitt\\Amqp\\Exception\\Configuration`: `exchange_type` is `{type}`, which is not an exchange type.",
+    keys: ["exchange_type"],
+    fix: "Use one of `topic`, `direct`, `fanout` or `headers`.",
+    link: "publishing/exchange-types",
+  },
+  {
+    id: "connection-not-found",
+    title: "Connection not configured",
+    pattern: /Connection '(?<connection>[^']*)' not found in config/,
+    cause: "The `use` option names connection `{connection}`, but `properties` has no block with that name.",
+    keys: ["use", "properties"],
+    fix: "Add a `{connection}` block to `properties` in `config/amqp.php`, or fix the name passed in `use`.",
+    link: "configuration/multiple-environments",
+  },
+  {
+    id: "reply-without-properties",
+    title: "Cannot reply to the message",
+    pattern: /Cannot reply: original message has no (?<property>reply_to|correlation_id) property/,
+    cause: "`reply()` needs the `{property}` property of the request, and the request has none.",
+    keys: [],
+    fix: "Publish requests through `rpc()`, which sets `reply_to` and `correlation_id`, or set both yourself when publishing.",
+    link: "rpc/creating-rpc-servers",
+  },
+  {
+    id: "confirms-disabled",
+    title: "Publisher confirms not enabled",
+    pattern: /Publisher confirms are not enabled/,
+    cause: "Confirms were requested on a channel that is not in confirm mode.",
+    keys: ["publisher_confirms"],
+    fix: "Set `publisher_confirms` to true, or call `enablePublisherConfirms()` before waiting for confirms.",
+    link: "advanced/publisher-confirms",
+  },
+  {
+    id: "management-api",
+    title: "Management API request failed",
+    pattern: /Management API (?:error: (?<reason>[^\n]+)|request failed: (?<failure>[^\n]+))/,
+    cause:
+      "The HTTP request to the management plugin failed: {reason}{failure}. Requests go to `management_host`:`management_port` with the management credentials.",
+    keys: ["management_host", "management_port", "management_username", "management_password"],
+    fix:
+      "Check that the management plugin is enabled (`rabbitmq-plugins enable rabbitmq_management`) and reachable, " +
+      "that `management_host` includes the scheme, and that the user has the `management` or `administrator` tag.",
+    link: "configuration/management-api-configuration",
+  },
+];
+
+// Replaces {name} with the named group of the match. Groups that did not
+// take part in the match become empty.
+function fillErrorTemplate(template, groups) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in groups ? groups[name] ?? "" : placeholder));
+}
+
+// Returns the catalog entries matching the text, in the order their errors
+// appear, with placeholders filled in and the matched line as `excerpt`
+function explainError(text) {
+  const matches = [];
+
+  ERROR_CATALOG.forEach((entry) => {
+    const match = entry.pattern.exec(text);
+    if (!match) {
+      return;
+    }
+
+    const groups = match.groups || {};
+    const start = text.lastIndexOf("\n", match.index) + 1;
+    const end = text.indexOf("\n", match.index + match[0].length);
+    matches.push({
+      id: entry.id,
+      title: entry.title,
+      index: match.index,
+      excerpt: text.slice(start, end === -1 ? text.length : end).trim(),
+      cause: fillErrorTemplate(entry.cause, groups),
+      keys: entry.keys.map((key) => fillErrorTemplate(key, groups)),
+      fix: fillErrorTemplate(entry.fix, groups),
+      link: entry.link,
+      overrides: entry.overrides || [],
+    });
+  });
+
+  const overridden = new Set(matches.flatMap((match) => match.overrides));
+  return matches.filter((match) => !overridden.has(match.id)).sort((a, b) => a.index - b.index);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { ERROR_CATALOG, explainError };
+}
@@ -0,0 +1,306 @@
+// Message inspector behind the x-death decoder: reads a message pasted as
+// JSON (management UI/API, getNativeData()) or as var_dump() output of
+// get_properties(), application_headers or the whole AMQPMessage, plain
+// or formatted by Xdebug.
+
+// Basic properties in the order the AMQP spec lists them
+const MESSAGE_PROPERTY_KEYS = [
+  "content_type",
+  "content_encoding",
+  "delivery_mode",
+  "priority",
+  "correlation_id",
+  "reply_to",
+  "expiration",
+  "message_id",
+  "timestamp",
+  "type",
+  "user_id",
+  "app_id",
+  "cluster_id",
+];
+
+// Why the broker dead-lettered the message, by x-death reason. Hints are
+// markdown and get the normalized death entry.
+const DEATH_REASONS = {
+  expired: {
+    label: "Expired",
+    keys: ["queue_properties.x-message-ttl"],
+    hint: (death) =>
+      death.originalExpiration !== null
+        ? `The publisher set a per-message \`expiration\` of ${death.originalExpiration} ms, and it ran out while the message waited in \`${death.queue}\`.`
+        : `The message outlived the \`x-message-ttl\` of \`${death.queue}\` (or a \`message-ttl\` policy matching it).`,
+  },
+  rejected: {
+    label: "Rejected",
+    keys: ["queue_properties.x-dead-letter-exchange", "queue_properties.x-dead-letter-routing-key"],
+    hint: (death) =>
+      `A consumer of \`${death.queue}\` rejected it without requeueing, e.g. \`$resolver->reject($message, false)\`, ` +
+      "and the queue forwarded it to its dead letter exchange.",
+  },
+  maxlen: {
+    label: "Queue full",
+    keys: ["queue_properties.x-max-length"],
+    hint: (death) =>
+      `\`${death.queue}\` reached its \`x-max-length\` or \`x-max-length-bytes\` (or a \`max-length\` policy), ` +
+      "and its `x-overflow` is `drop-head` or `reject-publish-dlx`.",
+  },
+  delivery_limit: {
+    label: "Delivery limit",
+    keys: ["queue_properties.x-queue-type"],
+    hint: (death) =>
+      `\`${death.queue}\` is a quorum queue and the message was redelivered more often than its \`x-delivery-limit\` ` +
+      "(or `delivery-limit` policy) allows. Since RabbitMQ 4.0 the limit defaults to 20.",
+  },
+};
+
+// php-amqplib keeps the values of AMQPTable and AMQPArray as [type, value]
+const AMQP_FIELD_TYPES = "tbBUuIiLlfdDsSATFVx";
+
+function isFieldPair(value) {
+  return Array.isArray(value) && value.length === 2 && typeof value[0] === "string" && AMQP_FIELD_TYPES.includes(value[0]);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Bytes of a character in UTF-8, which is how var_dump() counts
+function utf8Length(codePoint) {
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+}
+
+// Parses var_dump() output into plain values. PHP arrays with keys 0..n-1
+// become arrays, other arrays and objects become objects, and AMQPTable and
+// AMQPArray objects are replaced by the values they hold.
+function parseVarDump(text) {
+  let position = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} on line ${text.slice(0, position).split("\n").length}`);
+  };
+  const take = (pattern) => {
+    while (/\s/.test(text[position] || "")) position++;
+    const match = pattern.exec(text.slice(position));
+    if (match) position += match[0].length;
+    return match;
+  };
+
+  const readString = (bytes) => {
+    let end = position;
+    for (let size = 0; size < bytes && end < text.length; ) {
+      const codePoint = text.codePointAt(end);
+      size += utf8Length(codePoint);
+      end += codePoint > 0xffff ? 2 : 1;
+    }
+
+    // Copying from a terminal can turn tabs into spaces or drop "\r", so
+    // fall back to the first quote that ends a line
+    if (text[end] !== '"') {
+      const close = /"[ \t]*(?:\r?\n|$)/.exec(text.slice(position));
+      if (!close) fail("Unterminated string");
+      end = position + close.index;
+    }
+
+    const value = text.slice(position, end);
+    position = end + 1;
+    return value;
+  };
+
+  const parseEntries = () => {
+    const entries = [];
+    while (!take(/^\}/)) {
+      const key =
+        take(/^\["(.*?)"(?::"[^"]*")?(?::(?:protected|private))?\]\s*=>/) ||
+        take(/^\[(-?\d+)\]\s*=>/) ||
+        take(/^'((?:[^'\\]|\\.)*)'\s*=>/) ||
+        take(/^(?:public|protected|private)\s+(?:readonly\s+)?\$(\w+)\s*=>/);
+      if (!key) fail(position < text.length ? "Expected an array key" : "Unclosed array");
+      entries.push([key[1], parseValue()]);
+    }
+    return entries;
+  };
+
+  const parseValue = () => {
+    let match;
+    if (take(/^NULL\b/) || take(/^\*RECURSION\*/) || take(/^uninitialized\([^)]*\)/)) return null;
+    if ((match = take(/^bool\((true|false)\)/))) return match[1] === "true";
+    if ((match = take(/^(?:int|float|double)\(([^)]*)\)/))) return Number(match[1]);
+    if ((match = take(/^string\((\d+)\) "/))) return readString(Number(match[1]));
+    if ((match = take(/^enum\(([^)]*)\)/))) return match[1];
+    if (take(/^resource\(\d+\) of type \([^)]*\)/)) return null;
+
+    if (take(/^array\(\d+\) \{/)) {
+      const entries = parseEntries();
+      return entries.every(([key], index) => key === String(index))
+        ? entries.map(([, value]) => value)
+        : Object.fromEntries(entries);
+    }
+
+    if ((match = take(/^(?:object\(([^)]+)\)|class ([^\s#]+))#\d+ \(\d+\) \{/))) {
+      const className = match[1] || match[2];
+      const object = Object.fromEntries(parseEntries());
+      if (/AMQPTable$/.test(className) && isPlainObject(object.data)) {
+        return Object.fromEntries(
+          Object.entries(object.data).map(([key, pair]) => [key, isFieldPair(pair) ? pair[1] : pair])
+        );
+      }
+      if (/AMQPArray$/.test(className) && Array.isArray(object.data)) {
+        return object.data.map((pair) => (isFieldPair(pair) ? pair[1] : pair));
+      }
+      return object;
+    }
+
+    fail("Unexpected input");
+  };
+
+  // Xdebug starts with the file and line of the var_dump() call
+  const start = text.search(/(?:^|\s)(?:array\(\d+\) \{|object\(|class \S+#\d+)/);
+  if (start === -1) throw new SyntaxError("No var_dump() output found");
+  position = start;
+  return parseValue();
+}
+
+// Timestamps arrive as seconds (AMQP), milliseconds or date strings
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  const date = Number.isFinite(number) ? new Date(number < 1e11 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatTimestamp(date) {
+  return `${date.toISOString().slice(0, 19).replace("T", " ")} UTC`;
+}
+
+function normalizeDeath(entry) {
+  const death = {
+    count: Number(entry.count) || 1,
+    reason: String(entry.reason ?? ""),
+    queue: String(entry.queue ?? ""),
+    exchange: String(entry.exchange ?? ""),
+    routingKeys: [].concat(entry["routing-keys"] ?? []).map(String),
+    time: parseTimestamp(entry.time),
+    originalExpiration: entry["original-expiration"] ?? null,
+  };
+  const reason = DEATH_REASONS[death.reason];
+  let hint = reason ? reason.hint(death) : `RabbitMQ reported an unknown reason, \`${death.reason}\`.`;
+  if (death.count > 1) {
+    hint += ` This happened ${death.count} times, so the message keeps coming back to \`${death.queue}\`, usually through a retry loop.`;
+  }
+
+  return {
+    ...death,
+    label: reason ? reason.label : death.reason,
+    keys: reason ? reason.keys : [],
+    hint,
+  };
+}
+
+// How the broker and php-amqplib describe a property value, where that
+// adds something to the raw value
+function describeProperty(key, value) {
+  if (key === "delivery_mode") {
+    return { 1: "transient", 2: "persistent" }[value] || null;
+  }
+  if (key === "timestamp") {
+    const date = parseTimestamp(value);
+    return date ? formatTimestamp(date) : null;
+  }
+  if (key === "expiration") {
+    return `expires ${value} ms after it enters a queue`;
+  }
+  return null;
+}
+
+function parseMessageDump(text) {
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return { format: "json", value: JSON.parse(trimmed) };
+    } catch (error) {
+      if (!/(?:array\(\d+\) \{|object\(|class \S+#\d+)/.test(trimmed)) {
+        throw new SyntaxError(`Invalid JSON: ${error.message}`);
+      }
+    }
+  }
+  return { format: "var_dump", value: parseVarDump(text) };
+}
+
+// Returns { format, properties, headers, deaths, delivery, body, problems }.
+// properties lists { key, value, description }, deaths are in x-death order:
+// most recent first, one entry per queue and reason with a count.
+function inspectMessage(text) {
+  const result = { format: null, properties: [], headers: {}, deaths: [], delivery: {}, body: null, problems: [] };
+  const problem = (level, message) => result.problems.push({ level, message });
+
+  if (!text.trim()) {
+    return result;
+  }
+
+  let message;
+  try {
+    ({ format: result.format, value: message } = parseMessageDump(text));
+  } catch (error) {
+    problem("error", `${error.message}. Paste a JSON object or the output of var_dump().`);
+    return result;
+  }
+
+  // The management API returns a list of messages
+  if (Array.isArray(message)) {
+    if (message.length > 1) problem("warning", `Showing the first of ${message.length} messages.`);
+    message = message[0];
+  }
+  if (!isPlainObject(message)) {
+    problem("error", "Expected a message, its properties or its headers.");
+    return result;
+  }
+
+  const deliveryInfo = isPlainObject(message.delivery_info) ? message.delivery_info : message;
+  ["exchange", "routing_key", "redelivered"].forEach((key) => {
+    if (deliveryInfo[key] !== undefined) result.delivery[key] = deliveryInfo[key];
+  });
+  const body = message.body ?? message.payload;
+  if (typeof body === "string") result.body = body;
+
+  let properties = isPlainObject(message.properties) ? message.properties : message;
+  let headers = properties.application_headers ?? properties.headers;
+  if (headers === undefined && "x-death" in properties) {
+    headers = properties;
+    properties = {};
+  }
+
+  result.properties = [
+    ...MESSAGE_PROPERTY_KEYS.filter((key) => key in properties),
+    ...Object.keys(properties).filter(
+      (key) => !MESSAGE_PROPERTY_KEYS.includes(key) && key !== "application_headers" && key !== "headers"
+    ),
+  ]
+    .filter((key) => properties[key] !== null && properties[key] !== undefined && !isPlainObject(properties[key]))
+    .map((key) => ({ key, value: properties[key], description: describeProperty(key, properties[key]) }));
+
+  const { "x-death": deaths, ...others } = isPlainObject(headers) ? headers : {};
+  result.headers = others;
+
+  if (Array.isArray(deaths)) {
+    result.deaths = deaths.filter(isPlainObject).map(normalizeDeath);
+  } else if (deaths !== undefined) {
+    problem("error", "x-death should be a list of tables.");
+  } else if (result.format === "json" && isPlainObject(properties.application_headers) && !Object.keys(others).length) {
+    problem(
+      "warning",
+      "application_headers is empty. json_encode() cannot see inside an AMQPTable, so log " +
+        "$message->get('application_headers')->getNativeData() or use var_dump() instead."
+    );
+  } else {
+    problem("warning", "No x-death header: the broker has not dead-lettered this message.");
+  }
+
+  return result;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { DEATH_REASONS, parseVarDump, inspectMessage, formatTimestamp };
+}
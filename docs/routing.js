@@ -0,0 +1,257 @@
+// Exchange routing behind the Routing Simulator and the Dead Letter Tracer:
+// mirrors how RabbitMQ matches a published message against the bindings of a
+// topic, direct, fanout or headers exchange, and where it dead-letters them.
+const EXCHANGE_TYPES = ["topic", "direct", "fanout", "headers"];
+
+// Topic patterns: "*" matches exactly one word, "#" zero or more words
+function topicMatches(pattern, routingKey) {
+  const words = pattern.split(".");
+  const keys = routingKey.split(".");
+
+  const match = (w, k) => {
+    if (w === words.length) return k === keys.length;
+    if (words[w] === "#") {
+      for (let skip = k; skip <= keys.length; skip++) {
+        if (match(w + 1, skip)) return true;
+      }
+      return false;
+    }
+    if (k === keys.length) return false;
+    return (words[w] === "*" || words[w] === keys[k]) && match(w + 1, k + 1);
+  };
+
+  return match(0, 0);
+}
+
+// Parses "key=value" lines into an object; a bare "key" only checks presence
+function parseHeaderLines(text) {
+  const headers = {};
+  text.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const separator = trimmed.search(/[=:]/);
+    if (separator === -1) {
+      headers[trimmed] = null;
+    } else {
+      headers[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// x-match "all" needs every binding header, "any" needs at least one.
+// Arguments starting with "x-" are ignored unless the "-with-x" variant is used.
+function headersMatch(binding, headers) {
+  const expected = parseHeaderLines(binding.headers || "");
+  const mode = binding.match || "all";
+  const keys = Object.keys(expected).filter((key) => mode.endsWith("-with-x") || !key.startsWith("x-"));
+  if (!keys.length) {
+    return mode.startsWith("all");
+  }
+
+  const matches = keys.map(
+    (key) =>
+      Object.prototype.hasOwnProperty.call(headers, key) &&
+      (expected[key] === null || expected[key] === headers[key])
+  );
+  return mode.startsWith("all") ? matches.every(Boolean) : matches.some(Boolean);
+}
+
+function bindingMatches(type, binding, message) {
+  switch (type) {
+    case "fanout":
+      return true;
+    case "direct":
+      return binding.key === message.key;
+    case "topic":
+      return topicMatches(binding.key, message.key);
+    case "headers":
+      return headersMatch(binding, parseHeaderLines(message.headers || ""));
+    default:
+      return false;
+  }
+}
+
+// Returns the queues that receive the message (one copy each, however
+// many of their bindings match) and what happens if none do.
+function routeMessage(exchange, bindings, message) {
+  const queues = [];
+
+  bindings
+    .filter((binding) => binding.queue)
+    .forEach((binding) => {
+      if (!bindingMatches(exchange.type, binding, message)) return;
+
+      const existing = queues.find((entry) => entry.queue === binding.queue);
+      const label = exchange.type === "headers" ? `x-match=${binding.match}` : binding.key || "(empty)";
+      if (existing) existing.bindings.push(label);
+      else queues.push({ queue: binding.queue, bindings: [label] });
+    });
+
+  let outcome = "routed";
+  if (!queues.length) {
+    outcome = exchange.alternateExchange ? "alternate" : "unroutable";
+  }
+
+  return { queues, outcome, alternateExchange: exchange.alternateExchange || null };
+}
+
+// Dead-lettering. Queues carry { name, type, args } with their x-arguments;
+// an x-dead-letter-exchange of null is not set, while "" is the default
+// exchange.
+function isSet(value) {
+  return value !== "" && value !== null && value !== undefined;
+}
+
+// Reasons as they appear in the x-death header
+const DEAD_LETTER_EVENTS = [
+  { reason: "expired", label: "Message expired" },
+  { reason: "rejected", label: "Rejected without requeue" },
+  { reason: "maxlen", label: "Queue overflowed" },
+  { reason: "delivery_limit", label: "Delivery limit exceeded" },
+];
+
+// Bindings can copy a message into several queues, and every copy is
+// traced on its own, so the trace stops growing at some point.
+const DEAD_LETTER_MAX_STEPS = 100;
+
+// Whether the event dead-letters a message of the queue: returns { notes }
+// if it does and { level, message } if the message stops here.
+function deadLetterEvent(queue, reason) {
+  const args = queue.args;
+  const name = `"${queue.name}"`;
+
+  if (reason === "expired") {
+    return isSet(args["x-message-ttl"])
+      ? { notes: [`Expires after ${args["x-message-ttl"]} ms in ${name}.`] }
+      : { notes: [`${name} has no x-message-ttl, so this assumes a per-message expiration.`] };
+  }
+
+  if (reason === "maxlen") {
+    const max = args["x-max-length"];
+    const overflow = args["x-overflow"] || "drop-head";
+    if (!isSet(max)) {
+      return { level: "warning", message: `${name} has no x-max-length, so it never overflows.` };
+    }
+    if (overflow === "reject-publish") {
+      return {
+        level: "warning",
+        message:
+          `With reject-publish, ${name} refuses new messages once it holds ${max}. ` +
+          "The publisher gets a nack if it uses publisher confirms, and nothing is dead-lettered.",
+      };
+    }
+    if (overflow === "reject-publish-dlx" && queue.type === "quorum") {
+      return { level: "danger", message: "Quorum queues do not support reject-publish-dlx, so the queue cannot be declared." };
+    }
+    return {
+      notes: [
+        overflow === "drop-head"
+          ? `Once ${name} holds ${max} messages, the oldest one is dropped and dead-lettered.`
+          : `Once ${name} holds ${max} messages, new messages are refused and dead-lettered.`,
+      ],
+    };
+  }
+
+  if (reason === "delivery_limit") {
+    const limit = args["x-delivery-limit"];
+    if (queue.type !== "quorum") {
+      return { level: "warning", message: `Only quorum queues count deliveries, so ${name} redelivers the message forever.` };
+    }
+    return {
+      notes: [
+        isSet(limit)
+          ? `Dead-lettered once it has been redelivered more than ${limit} times.`
+          : "Without x-delivery-limit, RabbitMQ 4.0 gives up after 20 redeliveries. Older versions never do.",
+      ],
+    };
+  }
+
+  return { notes: ["A consumer called $resolver->reject($message, false)."] };
+}
+
+// Returns the steps of the trace in display order, each with its depth.
+// A step either dead-letters the message (deadLetter) or ends its path
+// (outcome). After the first event only an x-message-ttl moves the
+// message on; everything else needs a consumer.
+function traceDeadLetters(setup) {
+  const steps = [];
+  const queueNamed = (name) =>
+    setup.queues.find((queue) => queue.name === name) || { name, type: "classic", args: {} };
+
+  const visit = (name, reason, routingKey, deaths) => {
+    if (steps.length === DEAD_LETTER_MAX_STEPS) return;
+
+    const queue = queueNamed(name);
+    const step = { depth: deaths.length, queue: name, reason, routingKey, notes: [], deadLetter: null, outcome: null };
+    const end = (level, message) => (step.outcome = { level, message });
+    steps.push(step);
+
+    // The broker drops a message that comes back to a queue it died in,
+    // unless a consumer rejected it somewhere along the way
+    const previous = deaths.findIndex((death) => death.queue === name);
+    if (previous !== -1) {
+      if (deaths.slice(previous).some((death) => death.reason === "rejected")) {
+        end("warning", `Back in "${name}": the loop repeats every time a consumer rejects the message.`);
+      } else {
+        end("danger", `Back in "${name}" without a rejection on the way: the broker detects the cycle and drops the message.`);
+      }
+      return;
+    }
+
+    if (!reason) {
+      if (!isSet(queue.args["x-message-ttl"])) {
+        end("success", `Stays in "${name}" until a consumer takes it.`);
+        return;
+      }
+      reason = "expired";
+      step.reason = reason;
+    }
+
+    const event = deadLetterEvent(queue, reason);
+    if (event.message) {
+      end(event.level, event.message);
+      return;
+    }
+    step.notes = event.notes;
+
+    const exchangeName = queue.args["x-dead-letter-exchange"] ?? null;
+    if (exchangeName === null) {
+      end("danger", `"${name}" has no x-dead-letter-exchange, so the message is discarded.`);
+      return;
+    }
+
+    const deadLetterKey = queue.args["x-dead-letter-routing-key"];
+    const key = isSet(deadLetterKey) ? deadLetterKey : routingKey;
+    step.deadLetter = { exchange: exchangeName, routingKey: key };
+
+    let targets;
+    if (exchangeName === "") {
+      // The default exchange delivers to the queue named like the routing key
+      targets = setup.queues.some((entry) => entry.name === key) ? [key] : [];
+    } else {
+      const exchange = setup.exchanges.find((entry) => entry.name === exchangeName);
+      if (!exchange) {
+        end("danger", `Exchange "${exchangeName}" does not exist, so the broker drops the message.`);
+        return;
+      }
+      const bindings = setup.bindings.filter((binding) => binding.exchange === exchangeName);
+      targets = routeMessage(exchange, bindings, { key }).queues.map((entry) => entry.queue);
+    }
+
+    if (!targets.length) {
+      end("danger", `Nothing is bound to receive "${key}", so the dead-lettered message is dropped.`);
+      return;
+    }
+
+    targets.forEach((target) => visit(target, null, key, [...deaths, { queue: name, reason }]));
+  };
+
+  visit(setup.start.queue, setup.start.reason, setup.start.key, []);
+  return steps;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { EXCHANGE_TYPES, topicMatches, routeMessage, DEAD_LETTER_MAX_STEPS, deadLetterEvent, traceDeadLetters };
+}
@@ -0,0 +1,244 @@
+// HTML sanitizer for everything the docs render with v-html. Markdown may
+// contain raw HTML, and pages can come from fetched files and other
+// versions, so rendered output is rebuilt from an allowlist: unknown tags
+// are dropped (script-like ones with their content), unknown attributes are
+// dropped, and URLs are limited to safe schemes.
+//
+// Content cannot claim the ids and classes of the app around it: ids are
+// only kept on headings and must carry the prefix the heading renderer in
+// app.js gives them, and classes are limited to the ones the renderer emits.
+//
+// Links are rewritten on the way through:
+// - http(s) links open in a new tab with rel="noopener"
+// - GitHub-style "publishing.md#section" links become "#publishing/section"
+//   routes; handleContentClick() sends every "#..." link through the router
+//
+// Loaded before app.js in the browser. The unit tests require it directly:
+//
+//   node --test docs/tests/
+const SANITIZE_GLOBAL_ATTRIBUTES = ["class", "title", "role", "aria-label", "aria-hidden", "aria-selected"];
+
+// Heading ids are "section-" plus the slug; the route "#page/slug" leaves
+// the prefix out
+const HEADING_ID_PREFIX = "section-";
+
+// The markdown renderer's classes, by full name or by prefix
+const SANITIZE_CLASSES = ["active", "admonition", "code-block", "code-title", "heading-anchor"];
+const SANITIZE_CLASS_PREFIXES = ["admonition-", "code-group", "language-"];
+
+const SANITIZE_TAGS = {
+  a: ["href"],
+  b: [],
+  blockquote: [],
+  br: [],
+  button: ["type", "data-label"],
+  code: [],
+  dd: [],
+  del: [],
+  details: ["open"],
+  div: ["data-label"],
+  dl: [],
+  dt: [],
+  em: [],
+  h1: ["id"],
+  h2: ["id"],
+  h3: ["id"],
+  h4: ["id"],
+  h5: ["id"],
+  h6: ["id"],
+  hr: [],
+  i: [],
+  img: ["src", "alt", "width", "height"],
+  input: ["type", "checked", "disabled"],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ["start"],
+  p: [],
+  pre: ["data-highlight", "data-line-numbers", "data-diff"],
+  s: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ["align", "colspan", "rowspan"],
+  tfoot: [],
+  th: ["align", "colspan", "rowspan"],
+  thead: [],
+  tr: [],
+  ul: [],
+};
+
+const SANITIZE_VOID_TAGS = new Set(["br", "hr", "img", "input"]);
+
+// Dropped together with everything up to their closing tag
+const SANITIZE_DROP_CONTENT_TAGS = new Set([
+  "script", "style", "template", "iframe", "object", "embed", "noscript", "noembed",
+  "noframes", "textarea", "title", "xmp", "svg", "math", "select",
+]);
+
+const SANITIZE_URL_SCHEMES = { href: ["http", "https", "mailto"], src: ["http", "https"] };
+
+const SANITIZE_NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+
+const SANITIZE_TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/y;
+const SANITIZE_ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, name) => {
+    if (name[0] !== "#") {
+      return SANITIZE_NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+    const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Relative URLs are fine; absolute ones need an allowed scheme. Browsers
+// ignore whitespace and control characters inside a scheme, so do we.
+function isSafeUrl(value, attribute) {
+  const scheme = value.replace(/[\u0000- \u007f-\u009f]/g, "").match(/^([^/?#]*?):/);
+  return !scheme || SANITIZE_URL_SCHEMES[attribute].includes(scheme[1].toLowerCase());
+}
+
+function parseAttributes(source) {
+  const attributes = new Map();
+  for (const match of source.matchAll(SANITIZE_ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!attributes.has(name)) {
+      attributes.set(name, decodeEntities(match[2] ?? match[3] ?? match[4] ?? ""));
+    }
+  }
+  return attributes;
+}
+
+function sanitizeClasses(value) {
+  return value
+    .split(/\s+/)
+    .filter((name) => SANITIZE_CLASSES.includes(name) || SANITIZE_CLASS_PREFIXES.some((prefix) => name.startsWith(prefix)))
+    .join(" ");
+}
+
+function sanitizeAttributes(tag, source) {
+  const allowed = SANITIZE_TAGS[tag];
+  const attributes = new Map();
+
+  parseAttributes(source).forEach((value, name) => {
+    if (!allowed.includes(name) && !SANITIZE_GLOBAL_ATTRIBUTES.includes(name)) {
+      return;
+    }
+    if (SANITIZE_URL_SCHEMES[name] && !isSafeUrl(value, name)) {
+      return;
+    }
+    if (name === "id" && !value.startsWith(HEADING_ID_PREFIX)) {
+      return;
+    }
+    if (name === "class") {
+      value = sanitizeClasses(value);
+      if (!value) return;
+    }
+    attributes.set(name, value);
+  });
+
+  if (tag === "a" && attributes.has("href")) {
+    const href = attributes.get("href");
+    const page = href.match(/^(?:\.\/)?([\w-]+)\.md(?:#(.+))?$/);
+    if (page) {
+      attributes.set("href", `#${page[1]}${page[2] ? `/${page[2]}` : ""}`);
+    } else if (/^(?:https?:)?\/\//i.test(href)) {
+      attributes.set("target", "_blank");
+      attributes.set("rel", "noopener");
+    }
+  }
+
+  // Task list checkboxes are the only inputs markdown produces
+  if (tag === "input") {
+    if (attributes.get("type") !== "checkbox") {
+      return null;
+    }
+    attributes.set("disabled", "");
+  }
+
+  return Array.from(attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join("");
+}
+
+function sanitizeHtml(html) {
+  const open = [];
+  let output = "";
+  let index = 0;
+
+  while (index < html.length) {
+    const next = html.indexOf("<", index);
+    if (next === -1) {
+      output += html.slice(index).replace(/>/g, "&gt;");
+      break;
+    }
+    output += html.slice(index, next).replace(/>/g, "&gt;");
+    index = next;
+
+    // Comments, doctypes and processing instructions
+    if (html.startsWith("<!--", index)) {
+      const end = html.indexOf("-->", index + 4);
+      index = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[index + 1] === "!" || html[index + 1] === "?") {
+      const end = html.indexOf(">", index);
+      index = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    SANITIZE_TAG_PATTERN.lastIndex = index;
+    const match = SANITIZE_TAG_PATTERN.exec(html);
+    if (!match) {
+      output += "&lt;";
+      index++;
+      continue;
+    }
+    index = SANITIZE_TAG_PATTERN.lastIndex;
+
+    const closing = match[1] === "/";
+    const tag = match[2].toLowerCase();
+
+    if (!closing && SANITIZE_DROP_CONTENT_TAGS.has(tag)) {
+      const end = new RegExp(`</${tag}\\s*>`, "i").exec(html.slice(index));
+      index = end ? index + end.index + end[0].length : html.length;
+      continue;
+    }
+    if (!SANITIZE_TAGS[tag]) {
+      continue;
+    }
+
+    if (closing) {
+      // Close everything opened inside it; stray closing tags are dropped
+      const position = open.lastIndexOf(tag);
+      if (position !== -1) {
+        output += open.splice(position).reverse().map((name) => `</${name}>`).join("");
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, match[3]);
+    if (attributes === null) {
+      continue;
+    }
+    output += `<${tag}${attributes}>`;
+    if (!SANITIZE_VOID_TAGS.has(tag)) {
+      open.push(tag);
+    }
+  }
+
+  return output + open.reverse().map((name) => `</${name}>`).join("");
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { HEADING_ID_PREFIX, sanitizeHtml };
+}
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// Writes docs/data/api-reference.json, the manifest behind the API Reference
+// page, from the public methods and docblocks in src/Core, src/Managers and
+// src/Models. Run it whenever a public signature changes:
+//
+//   node docs/scripts/api-reference.js
+//
+// With --check it only compares the manifest with the source and exits with
+// status 1 when they differ, so CI can catch signatures that have drifted.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const SOURCE_DIRECTORIES = ["src/Core", "src/Managers", "src/Models"];
+const OUTPUT = path.join(__dirname, "..", "data", "api-reference.json");
+
+// Returns the index of the quote that closes the string starting at `start`,
+// skipping backslash escapes
+function skipString(source, start) {
+  let index = start + 1;
+  for (; index < source.length && source[index] !== source[start]; index++) {
+    if (source[index] === "\\") index++;
+  }
+  return index;
+}
+
+// Returns the index just past the bracket that closes the one at `start`,
+// skipping strings and comments
+function skipBalanced(source, start) {
+  const pairs = { "(": ")", "[": "]", "{": "}" };
+  const closing = [];
+
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === "'" || char === '"') {
+      index = skipString(source, index);
+    } else if (source.startsWith("//", index) || char === "#") {
+      index = source.indexOf("\n", index);
+      if (index === -1) break;
+    } else if (source.startsWith("/*", index)) {
+      index = source.indexOf("*/", index + 2) + 1;
+      if (index === 0) break;
+    } else if (pairs[char]) {
+      closing.push(pairs[char]);
+    } else if (char === closing[closing.length - 1]) {
+      closing.pop();
+      if (!closing.length) {
+        return index + 1;
+      }
+    }
+  }
+
+  throw new Error(`Unbalanced bracket at offset ${start}`);
+}
+
+// Splits on commas outside brackets and strings
+function splitTopLevel(text) {
+  const parts = [];
+  let start = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if ("([{'\"".includes(char)) {
+      index = char === "'" || char === '"' ? skipString(text, index) : skipBalanced(text, index) - 1;
+    } else if (char === ",") {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseDocblock(docblock) {
+  const doc = { summary: "", description: "", params: {}, returns: null, throws: [], deprecated: false };
+  if (!docblock) {
+    return doc;
+  }
+
+  const lines = docblock
+    .replace(/^\/\*\*|\*\/$/g, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*\s?/, "").trimEnd());
+
+  const text = [];
+  const tags = [];
+  lines.forEach((line) => {
+    if (line.trim().startsWith("@")) {
+      tags.push(line.trim());
+    } else if (tags.length && line.trim()) {
+      tags[tags.length - 1] += ` ${line.trim()}`;
+    } else if (!tags.length) {
+      text.push(line);
+    }
+  });
+
+  const paragraphs = text.join("\n").trim().split(/\n\s*\n/);
+  doc.summary = paragraphs[0].replace(/\s*\n\s*/g, " ");
+  doc.description = paragraphs.slice(1).join("\n\n").trim();
+
+  tags.forEach((tag) => {
+    const [, name, rest = ""] = tag.match(/^@(\w+)\s*([\s\S]*)$/);
+    if (name === "param") {
+      const match = rest.match(/^(?:(\S+)\s+)?(?:&)?(?:\.\.\.)?\$(\w+)\s*(.*)$/);
+      if (match) {
+        doc.params[match[2]] = { type: match[1] || null, description: match[3] };
+      }
+    } else if (name === "return") {
+      const [type, ...description] = rest.split(/\s+/);
+      doc.returns = { type, description: description.join(" ") };
+    } else if (name === "throws") {
+      const [type, ...description] = rest.split(/\s+/);
+      doc.throws.push({ type: type.replace(/^\\/, ""), description: description.join(" ") });
+    } else if (name === "deprecated") {
+      doc.deprecated = rest || true;
+    }
+  });
+
+  return doc;
+}
+
+function parseParameter(source, doc) {
+  const match = source.match(
+    /^(?:(?:public|protected|private|readonly)\s+)*(?:([?\w\\|]+)\s+)?(&)?(\.\.\.)?\$(\w+)(?:\s*=\s*([\s\S]+))?$/
+  );
+  if (!match) {
+    throw new Error(`Cannot parse parameter "${source}"`);
+  }
+
+  const [, type, byReference, variadic, name, defaultValue] = match;
+  const documented = doc.params[name] || {};
+  return {
+    name,
+    type: type || documented.type || null,
+    default: defaultValue === undefined ? null : defaultValue.replace(/\s+/g, " "),
+    optional: defaultValue !== undefined || Boolean(variadic),
+    variadic: Boolean(variadic),
+    byReference: Boolean(byReference),
+    description: documented.description || "",
+  };
+}
+
+function formatSignature(method) {
+  const params = method.params.map((param) => {
+    const name = `${param.byReference ? "&" : ""}${param.variadic ? "..." : ""}$${param.name}`;
+    return [param.type, name].filter(Boolean).join(" ") + (param.default === null ? "" : ` = ${param.default}`);
+  });
+  const returns = method.returns.type ? `: ${method.returns.type}` : "";
+  return `${method.static ? "static " : ""}${method.name}(${params.join(", ")})${returns}`;
+}
+
+function lineOf(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+// Exceptions a method throws itself or through the methods of its own
+// class it calls
+function collectThrows(name, bodies, seen = new Set()) {
+  if (seen.has(name) || !bodies[name]) {
+    return [];
+  }
+  seen.add(name);
+
+  const body = bodies[name];
+  const thrown = Array.from(body.matchAll(/throw\s+new\s+\\?([\w\\]+)/g), (match) => match[1]);
+  const called = Array.from(body.matchAll(/\$this->(\w+)\s*\(/g), (match) => match[1]);
+  return [...thrown, ...called.flatMap((callee) => collectThrows(callee, bodies, seen))];
+}
+
+function parseClass(file, source = fs.readFileSync(path.join(ROOT, file), "utf8")) {
+  const namespace = (source.match(/^namespace\s+([^;]+);/m) || [])[1] || "";
+  const declaration = source.match(
+    /(\/\*\*(?:(?!\*\/)[\s\S])*\*\/\s*)?((?:abstract|final)\s+)?class\s+(\w+)(?:\s+extends\s+([\w\\]+))?(?:\s+implements\s+([\w\\,\s]+?))?\s*\{/
+  );
+  if (!declaration) {
+    return null;
+  }
+
+  const classDoc = parseDocblock(declaration[1] && declaration[1].trim());
+  const methods = [];
+  const bodies = {};
+  const pattern = /((?:(?:public|protected|private|static|abstract|final)\s+)*)function\s+&?(\w+)\s*\(/g;
+
+  for (const match of source.matchAll(pattern)) {
+    const modifiers = match[1].trim().split(/\s+/);
+    const name = match[2];
+    const paramsStart = match.index + match[0].length - 1;
+    const paramsEnd = skipBalanced(source, paramsStart);
+    const returnType = (source.slice(paramsEnd).match(/^\s*:\s*([?\w\\|]+)/) || [])[1] || null;
+    const bodyStart = source.indexOf("{", paramsEnd);
+    const isAbstract = modifiers.includes("abstract") || source.indexOf(";", paramsEnd) < bodyStart;
+    bodies[name] = isAbstract ? "" : source.slice(bodyStart, skipBalanced(source, bodyStart));
+
+    if (modifiers.includes("private") || modifiers.includes("protected") || name.startsWith("__")) {
+      continue;
+    }
+
+    const before = source.slice(0, match.index).trimEnd();
+    const docblock = before.endsWith("*/") ? before.slice(before.lastIndexOf("/**")) : null;
+    const doc = parseDocblock(docblock);
+    const params = splitTopLevel(source.slice(paramsStart + 1, paramsEnd - 1)).map((param) => parseParameter(param, doc));
+
+    methods.push({
+      name,
+      static: modifiers.includes("static"),
+      line: lineOf(source, match.index),
+      summary: doc.summary,
+      description: doc.description,
+      deprecated: doc.deprecated,
+      params,
+      returns: {
+        type: returnType || (doc.returns && doc.returns.type) || null,
+        description: (doc.returns && doc.returns.description) || "",
+      },
+      throws: doc.throws,
+    });
+  }
+
+  methods.forEach((method) => {
+    method.throws = [...method.throws];
+    collectThrows(method.name, bodies).forEach((type) => {
+      if (!method.throws.some((documented) => documented.type === type)) {
+        method.throws.push({ type, description: "" });
+      }
+    });
+    method.signature = formatSignature(method);
+  });
+
+  return {
+    name: declaration[3],
+    namespace,
+    fqcn: `${namespace}\\${declaration[3]}`,
+    file,
+    abstract: Boolean(declaration[2] && declaration[2].trim() === "abstract"),
+    extends: declaration[4] || null,
+    implements: declaration[5] ? declaration[5].split(",").map((name) => name.trim()) : [],
+    summary: classDoc.summary,
+    methods,
+  };
+}
+
+function buildManifest() {
+  const classes = SOURCE_DIRECTORIES.flatMap((directory) =>
+    fs
+      .readdirSync(path.join(ROOT, directory))
+      .filter((name) => name.endsWith(".php"))
+      .sort()
+      .map((name) => parseClass(`${directory}/${name}`))
+      .filter((entry) => entry && entry.methods.length)
+  );
+
+  // No timestamp: the manifest only changes when a signature does
+  return { classes };
+}
+
+function main() {
+  const manifest = buildManifest();
+
+  if (process.argv.includes("--check")) {
+    const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, "utf8") : null;
+    if (current !== `${JSON.stringify(manifest, null, 2)}\n`) {
+      console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date, run node docs/scripts/api-reference.js`);
+      process.exit(1);
+    }
+    console.log("API reference is up to date");
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(manifest, null, 2)}\n`);
+  const count = manifest.classes.reduce((total, entry) => total + entry.methods.length, 0);
+  console.log(`Wrote ${count} methods of ${manifest.classes.length} classes to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { splitTopLevel, parseDocblock, parseParameter, parseClass };
+}
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// Writes docs/data/config-reference.json, the table behind the Config
+// Reference page, from config/amqp.php: every key with its default, the env()
+// variable it reads, its comment and the docs page that covers it. Options
+// that ship commented out (e.g. most queue_properties) are included as
+// examples.
+//
+//   node docs/scripts/config-reference.js           regenerate
+//   node docs/scripts/config-reference.js --watch   regenerate on every change
+//   node docs/scripts/config-reference.js --check   exit 1 if out of date (CI)
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG = path.join(__dirname, "..", "..", "config", "amqp.php");
+const OUTPUT = path.join(__dirname, "..", "data", "config-reference.json");
+
+// Docs page (and section) for each key, first match wins. Keys inside a
+// connection are matched without the "properties.<connection>." prefix.
+const FEATURE_LINKS = [
+  [/^(use|properties)$/, "configuration/multiple-environments"],
+  [/^(host|port|username|password|vhost)$/, "configuration/environment-variables"],
+  [/^management_/, "configuration/management-api-configuration"],
+  [/^exchange/, "publishing/exchange-types"],
+  [/^queue_properties\.x-dead-letter-/, "advanced/dead-letter-exchanges"],
+  [/^queue_properties\.x-max-priority$/, "advanced/message-priority"],
+  [/^queue_properties\.x-queue-mode$/, "advanced/lazy-queues"],
+  [/^queue_properties\.x-queue-type$/, "advanced/queue-types"],
+  [/^queue_properties/, "queue-builder"],
+  [/^(queue_|consumer_|timeout$)/, "consuming/consume-with-options"],
+  [/^persistent$/, "consuming/keep-consuming-when-the-queue-is-empty"],
+  [/^(publish_timeout|publisher_confirms|wait_for_confirms)$/, "advanced/publisher-confirms"],
+  [/^qos/, "advanced/consumer-prefetch-qos"],
+  [/./, "configuration/basic-configuration"],
+];
+
+function tokenize(source) {
+  const tokens = [];
+  let line = 1;
+  let lineHasCode = false;
+  let index = 0;
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, line, start, end: index });
+    lineHasCode = true;
+  };
+
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const start = index;
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      const newlines = match[0].split("\n").length - 1;
+      if (newlines > 1) {
+        tokens.push({ type: "blank", line });
+      }
+      line += newlines;
+      lineHasCode = lineHasCode && !newlines;
+      index += match[0].length;
+    } else if ((match = rest.match(/^(?:\/\/|#)(.*)/))) {
+      tokens.push({ type: "comment", value: match[1].trim(), trailing: lineHasCode, line });
+      index += match[0].length;
+    } else if ((match = rest.match(/^\/\*([\s\S]*?)\*\//))) {
+      // Strip the |----| banner decoration of Laravel config headings
+      const text = match[1]
+        .split("\n")
+        .map((part) => part.replace(/^\s*\*?\s*\|?-*\s*/, "").trim())
+        .filter(Boolean)
+        .join(" ");
+      tokens.push({ type: "comment", value: text, trailing: false, block: true, line });
+      line += match[0].split("\n").length - 1;
+      index += match[0].length;
+    } else if ((match = rest.match(/^<\?php|^return\b|^;/))) {
+      index += match[0].length;
+    } else if ((match = rest.match(/^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/))) {
+      index += match[0].length;
+      push("string", (match[1] ?? match[2]).replace(/\\(['"\\])/g, "$1"), start);
+    } else if ((match = rest.match(/^-?\d+(?:\.\d+)?/))) {
+      index += match[0].length;
+      push("number", Number(match[0]), start);
+    } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+      index += match[0].length;
+      push("name", match[0], start);
+    } else if (rest.startsWith("=>")) {
+      index += 2;
+      push("punct", "=>", start);
+    } else {
+      index += 1;
+      push("punct", rest[0], start);
+    }
+  }
+
+  return tokens;
+}
+
+function typeOf(token) {
+  if (token.value === "[") return "array";
+  if (token.type === "string") return "string";
+  if (token.type === "number") return Number.isInteger(token.value) ? "int" : "float";
+  if (token.type === "name" && /^(true|false)$/i.test(token.value)) return "bool";
+  if (token.type === "name" && /^null$/i.test(token.value)) return "null";
+  return "mixed";
+}
+
+// A commented-out entry such as "'x-max-priority' => 10, // Maximum priority"
+function parseCommentedEntry(text) {
+  const match = text.match(/^'([^']+)'\s*=>\s*(.+?),?\s*(?:\/\/\s*(.*))?$/);
+  if (!match) {
+    return null;
+  }
+  const source = match[2].trim();
+  return { key: match[1], comment: match[3] || "", value: { kind: "scalar", source, type: typeOf(tokenize(source)[0]) } };
+}
+
+// "management_host" -> "management"
+function keyPrefix(key) {
+  return String(key).split(/[_.-]/)[0];
+}
+
+function parseConfig(source) {
+  const tokens = tokenize(source).filter((token, index, all) => token.type !== "blank" || all[index - 1]?.type !== "blank");
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" on line ${token ? token.line : "EOF"}`);
+    }
+  };
+  const skipComments = () => {
+    while (peek() && (peek().type === "comment" || peek().type === "blank")) position++;
+  };
+  const rawSource = (from, to) => source.slice(from, to).replace(/\/\/[^\n]*/g, "").replace(/\s+/g, " ").replace(/\[ /g, "[").replace(/,? \]/g, "]");
+
+  function parseValue() {
+    skipComments();
+    const token = next();
+
+    if (token.value === "[") {
+      const entries = parseArray();
+      return { kind: "array", entries, source: rawSource(token.start, tokens[position - 1].end), type: "array" };
+    }
+    if (token.type === "name" && token.value === "env" && peek().value === "(") {
+      next();
+      const name = next().value;
+      let fallback = { source: "null", type: "null" };
+      if (peek().value === ",") {
+        next();
+        fallback = parseValue();
+      }
+      expect(")");
+      return { kind: "env", env: name, source: fallback.source, type: fallback.type };
+    }
+    if (token.type === "string") {
+      return { kind: "scalar", source: source.slice(token.start, token.end), type: "string" };
+    }
+    return { kind: "scalar", source: source.slice(token.start, token.end), type: typeOf(token) };
+  }
+
+  // A "/* heading */" describes the entry below it. A "// comment" line
+  // heads the entries below it that share the first one's key prefix, up to
+  // the next blank line.
+  function parseArray() {
+    const entries = [];
+    let section = null;
+    let heading = "";
+
+    for (;;) {
+      const token = peek();
+      if (!token) {
+        throw new Error("Unterminated array");
+      }
+
+      const add = (entry) => {
+        if (section && (section.prefix === null || section.prefix === keyPrefix(entry.key))) {
+          section.prefix = keyPrefix(entry.key);
+          entry.section = section.text;
+        } else {
+          section = null;
+        }
+        if (heading) {
+          entry.comment = entry.comment || heading;
+          heading = "";
+        }
+        entries.push(entry);
+      };
+
+      if (token.type === "blank") {
+        section = null;
+        next();
+      } else if (token.type === "comment") {
+        next();
+        const last = entries[entries.length - 1];
+        const example = parseCommentedEntry(token.value);
+        if (token.trailing && last && last.line === token.line) {
+          last.comment = token.value;
+        } else if (example) {
+          add({ key: example.key, line: token.line, section: "", comment: example.comment, example: true, value: example.value });
+        } else if (token.block) {
+          heading = token.value;
+        } else {
+          section = { text: token.value, prefix: null };
+        }
+      } else if (token.value === "]") {
+        next();
+        return entries;
+      } else if (token.value === ",") {
+        next();
+      } else {
+        let key = null;
+        if (token.type === "string" && tokens[position + 1]?.value === "=>") {
+          key = next().value;
+          next();
+        }
+        add({ key, line: token.line, section: "", comment: "", example: false, value: parseValue() });
+      }
+    }
+  }
+
+  skipComments();
+  expect("[");
+  return parseArray();
+}
+
+function featureLink(key) {
+  return FEATURE_LINKS.find(([pattern]) => pattern.test(key))[1];
+}
+
+function flatten(entries, prefix, scope) {
+  return entries.flatMap((entry) => {
+    const key = prefix ? `${prefix}.${entry.key}` : entry.key;
+
+    // Connection blocks: their keys are documented relative to the connection
+    if (entry.key === "properties") {
+      const connections = entry.value.entries.map((connection) => `'${connection.key}' => [...]`);
+      return [
+        row({ ...entry, value: { ...entry.value, source: `[${connections.join(", ")}]` } }, key, scope),
+        ...entry.value.entries.flatMap((connection) =>
+          flatten(connection.value.entries, "", `properties.${connection.key}`)
+        ),
+      ];
+    }
+
+    const nested = entry.value.kind === "array" && entry.value.entries.some((child) => child.key !== null);
+    const examples = entry.value.kind === "array" && entry.value.entries.some((child) => child.example);
+    return [row(entry, key, scope), ...(nested || examples ? flatten(entry.value.entries, key, scope) : [])];
+  });
+}
+
+function row(entry, key, scope) {
+  return {
+    key,
+    path: scope ? `${scope}.${key}` : key,
+    default: entry.value.source,
+    type: entry.value.type,
+    env: entry.value.env || null,
+    comment: entry.comment,
+    section: entry.section,
+    example: entry.example,
+    line: entry.line,
+    link: featureLink(key),
+  };
+}
+
+function buildReference() {
+  const source = fs.readFileSync(CONFIG, "utf8");
+  return {
+    generated_at: new Date().toISOString(),
+    source: "config/amqp.php",
+    keys: flatten(parseConfig(source), "", ""),
+  };
+}
+
+function write() {
+  const reference = buildReference();
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(reference, null, 2)}\n`);
+  console.log(`Wrote ${reference.keys.length} config keys to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+function main() {
+  if (process.argv.includes("--check")) {
+    const current = fs.existsSync(OUTPUT) ? JSON.parse(fs.readFileSync(OUTPUT, "utf8")) : { keys: null };
+    if (JSON.stringify(current.keys) !== JSON.stringify(buildReference().keys)) {
+      console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date, run node docs/scripts/config-reference.js`);
+      process.exit(1);
+    }
+    console.log("Config reference is up to date");
+    return;
+  }
+
+  write();
+
+  if (process.argv.includes("--watch")) {
+    console.log(`Watching ${path.relative(process.cwd(), CONFIG)}`);
+    fs.watchFile(CONFIG, { interval: 500 }, () => {
+      try {
+        write();
+      } catch (error) {
+        console.error(error.message);
+      }
+    });
+  }
+}
+
+main();
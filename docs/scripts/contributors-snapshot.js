@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Writes docs/data/contributors.json, the contributors list the docs site
+// falls back to when the GitHub API is unreachable or rate limited.
+// The docs CI job builds it on every run; run it by hand (Node 18+) to
+// refresh the committed copy before a release:
+//
+//   GITHUB_TOKEN=... node docs/scripts/contributors-snapshot.js   regenerate
+//   node docs/scripts/contributors-snapshot.js --check            exit 1 if never generated (CI)
+//
+// The token is optional but recommended: the snapshot makes one request
+// per contributor, which quickly exhausts the unauthenticated limit.
+const fs = require("fs");
+const path = require("path");
+
+const REPO = "bschmitt/laravel-amqp";
+const PER_PAGE = 100;
+const OUTPUT = path.join(__dirname, "..", "data", "contributors.json");
+
+async function github(apiPath) {
+  const headers = { Accept: "application/vnd.github+json", "User-Agent": "laravel-amqp-docs" };
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(`https://api.github.com${apiPath}`, { headers });
+  if (!response.ok) {
+    const reset = response.headers.get("x-ratelimit-reset");
+    const hint = response.headers.get("x-ratelimit-remaining") === "0" && reset
+      ? ` (rate limited until ${new Date(reset * 1000).toISOString()})`
+      : "";
+    throw new Error(`GET ${apiPath} failed with HTTP ${response.status}${hint}`);
+  }
+  return response.json();
+}
+
+// The committed file must come from this script, not be written by hand
+function check() {
+  const snapshot = fs.existsSync(OUTPUT) ? JSON.parse(fs.readFileSync(OUTPUT, "utf8")) : {};
+  if (!snapshot.generated_at || !Array.isArray(snapshot.contributors) || !snapshot.contributors.length) {
+    console.error(`${path.relative(process.cwd(), OUTPUT)} was never generated, run node docs/scripts/contributors-snapshot.js`);
+    process.exit(1);
+  }
+  console.log(`Contributors snapshot from ${snapshot.generated_at}`);
+}
+
+async function main() {
+  if (process.argv.includes("--check")) {
+    check();
+    return;
+  }
+
+  const contributors = [];
+
+  for (let page = 1; ; page++) {
+    const batch = await github(`/repos/${REPO}/contributors?per_page=${PER_PAGE}&page=${page}`);
+    contributors.push(...batch);
+    if (batch.length < PER_PAGE) break;
+  }
+
+  const detailed = [];
+  for (const contributor of contributors) {
+    const user = await github(`/users/${contributor.login}`);
+    detailed.push({
+      login: contributor.login,
+      name: user.name || contributor.login,
+      avatar_url: contributor.avatar_url,
+      html_url: contributor.html_url,
+      location: user.location,
+      contributions: contributor.contributions,
+    });
+  }
+
+  const snapshot = { generated_at: new Date().toISOString(), contributors: detailed };
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(snapshot, null, 2)}\n`);
+  console.log(`Wrote ${detailed.length} contributors to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
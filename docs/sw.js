@@ -0,0 +1,151 @@
+// Service worker for the docs site: precaches the app shell and vendored
+// libraries so the docs keep working offline after the first visit.
+//
+// - Vendored libraries are immutable and served cache-first.
+// - Everything else on this origin is served from the cache and refreshed
+//   in the background. When a refreshed file differs from the cached copy,
+//   open pages are told so they can offer a reload.
+// - Bump CACHE_VERSION whenever SHELL_FILES or a vendored file changes.
+const CACHE_VERSION = "v7";
+const CACHE_NAME = `laravel-amqp-docs-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "sanitize.js",
+  "troubleshooting.js",
+  "error-catalog.js",
+  "routing.js",
+  "message-inspector.js",
+  "amqp-uri.js",
+  "app.js",
+  "style.css",
+  "mascot.png",
+  "data/contributors.json",
+  "vendor/vue/vue.global.prod.js",
+  "vendor/marked/marked.umd.js",
+  "vendor/prism/prism.js",
+  "vendor/prism/prism-markup-templating.min.js",
+  "vendor/prism/prism-php.min.js",
+  "vendor/prism/prism-bash.min.js",
+  "vendor/prism/prism-json.min.js",
+  "vendor/prism/prism-tomorrow.min.css",
+  "vendor/inter/inter.css",
+  "vendor/inter/inter-latin-wght-normal.woff2",
+  "vendor/inter/inter-latin-ext-wght-normal.woff2",
+];
+
+const VENDOR_PATH = new URL("vendor/", self.registration.scope).pathname;
+const SHELL_URL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("laravel-amqp-docs-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const message = event.data || {};
+
+  if (message.type === "skip-waiting") {
+    self.skipWaiting();
+  }
+
+  // The app sends the markdown pages of every version, so they are
+  // available offline even if they were never opened
+  if (message.type === "cache-urls") {
+    event.waitUntil(cacheMissing(message.urls || []));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // GitHub API and other origins always go to the network
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(staleWhileRevalidate(event, SHELL_URL));
+  } else if (url.pathname.startsWith(VENDOR_PATH)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, request.url));
+  }
+});
+
+async function cacheMissing(urls) {
+  const cache = await caches.open(CACHE_NAME);
+
+  await Promise.all(
+    urls.map(async (url) => {
+      if (await cache.match(url)) {
+        return;
+      }
+      try {
+        await cache.add(url);
+      } catch (error) {
+        // Optional files (e.g. release notes outside the docs directory)
+      }
+    })
+  );
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey);
+
+  const refresh = fetch(event.request).then(async (response) => {
+    if (!response.ok) {
+      return response;
+    }
+
+    const changed = cached && (await cached.clone().text()) !== (await response.clone().text());
+    await cache.put(cacheKey, response.clone());
+    if (changed) {
+      await notifyClients({ type: "content-updated", url: cacheKey });
+    }
+    return response;
+  });
+
+  if (!cached) {
+    return refresh;
+  }
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage(message));
+}
@@ -0,0 +1,142 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { splitTopLevel, parseDocblock, parseParameter, parseClass } = require("../scripts/api-reference");
+
+const FIXTURE = `<?php
+
+namespace Bschmitt\\Amqp\\Core;
+
+/**
+ * Publishes messages to an exchange.
+ */
+class Publisher extends Request implements PublisherInterface
+{
+    /**
+     * Publish a message.
+     *
+     * The message is sent with the merged properties.
+     *
+     * @param string $routing The routing key
+     * @param mixed $message
+     * @param array $properties Overrides for this call,
+     *   merged into the config
+     * @return bool|null Whether the broker confirmed the message
+     * @throws \\Bschmitt\\Amqp\\Exception\\Configuration When the exchange is missing
+     */
+    public function publish(string $routing, $message, array $properties = ['type' => 'topic', 'tags' => [1, 2]]): ?bool
+    {
+        return $this->confirm();
+    }
+
+    /**
+     * @deprecated Use publish() instead
+     */
+    public static function send(?string $routing = null, int|string $priority = 0, string $separator = 'it\\'s, fine', string ...$headers)
+    {
+    }
+
+    protected function confirm()
+    {
+        throw new \\RuntimeException('Timed out');
+    }
+
+    public function __construct()
+    {
+    }
+}
+`;
+
+const emptyDoc = parseDocblock(null);
+
+test("splits parameters on commas outside brackets and strings", () => {
+  assert.deepStrictEqual(splitTopLevel("$a, array $b = [1, 2], $c = fn(1, 2)"), ["$a", "array $b = [1, 2]", "$c = fn(1, 2)"]);
+  assert.deepStrictEqual(splitTopLevel(`$a = 'it\\'s, fine', $b = "say \\"a, b\\"", $c`), [
+    "$a = 'it\\'s, fine'",
+    '$b = "say \\"a, b\\""',
+    "$c",
+  ]);
+  assert.deepStrictEqual(splitTopLevel(""), []);
+});
+
+test("reads defaults, nullable and union types", () => {
+  assert.deepStrictEqual(parseParameter("?string $routing = null", emptyDoc), {
+    name: "routing",
+    type: "?string",
+    default: "null",
+    optional: true,
+    variadic: false,
+    byReference: false,
+    description: "",
+  });
+
+  const union = parseParameter("int|string $priority = 0", emptyDoc);
+  assert.deepStrictEqual([union.type, union.default], ["int|string", "0"]);
+
+  const array = parseParameter("array $properties = [\n    'type' => 'topic',\n]", emptyDoc);
+  assert.strictEqual(array.default, "[ 'type' => 'topic', ]");
+
+  const variadic = parseParameter("string ...$headers", emptyDoc);
+  assert.deepStrictEqual([variadic.variadic, variadic.optional, variadic.default], [true, true, null]);
+
+  assert.strictEqual(parseParameter("&$channel", emptyDoc).byReference, true);
+  assert.throws(() => parseParameter("string", emptyDoc), /Cannot parse parameter "string"/);
+});
+
+test("reads summaries, descriptions and tags from docblocks", () => {
+  const doc = parseDocblock(`/**
+     * Publish a message.
+     *
+     * The message is sent
+     * with the merged properties.
+     *
+     * @param string $routing The routing key
+     * @param array ...$rest
+     * @return bool|null Whether it was confirmed
+     * @throws \\RuntimeException When it times out
+     */`);
+
+  assert.strictEqual(doc.summary, "Publish a message.");
+  assert.strictEqual(doc.description, "The message is sent\nwith the merged properties.");
+  assert.deepStrictEqual(doc.params, {
+    routing: { type: "string", description: "The routing key" },
+    rest: { type: "array", description: "" },
+  });
+  assert.deepStrictEqual(doc.returns, { type: "bool|null", description: "Whether it was confirmed" });
+  assert.deepStrictEqual(doc.throws, [{ type: "RuntimeException", description: "When it times out" }]);
+  assert.strictEqual(doc.deprecated, false);
+
+  assert.strictEqual(parseDocblock("/** @deprecated Use publish() instead */").deprecated, "Use publish() instead");
+});
+
+test("lists the public methods of a class with their signatures", () => {
+  const entry = parseClass("src/Core/Publisher.php", FIXTURE);
+
+  assert.deepStrictEqual(
+    [entry.fqcn, entry.extends, entry.implements, entry.summary],
+    ["Bschmitt\\Amqp\\Core\\Publisher", "Request", ["PublisherInterface"], "Publishes messages to an exchange."]
+  );
+  assert.deepStrictEqual(entry.methods.map((method) => method.name), ["publish", "send"]);
+
+  const [publish, send] = entry.methods;
+  // Untyped parameters take their type from the @param tag
+  assert.strictEqual(
+    publish.signature,
+    "publish(string $routing, mixed $message, array $properties = ['type' => 'topic', 'tags' => [1, 2]]): ?bool"
+  );
+  assert.strictEqual(publish.description, "The message is sent with the merged properties.");
+  assert.strictEqual(publish.params[2].description, "Overrides for this call, merged into the config");
+  assert.deepStrictEqual(publish.returns, { type: "?bool", description: "Whether the broker confirmed the message" });
+  // Documented exceptions first, then the ones thrown by the methods it calls
+  assert.deepStrictEqual(
+    publish.throws.map((thrown) => thrown.type),
+    ["Bschmitt\\Amqp\\Exception\\Configuration", "RuntimeException"]
+  );
+
+  assert.strictEqual(
+    send.signature,
+    "static send(?string $routing = null, int|string $priority = 0, string $separator = 'it\\'s, fine', string ...$headers)"
+  );
+  assert.strictEqual(send.deprecated, "Use publish() instead");
+});
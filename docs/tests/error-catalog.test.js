@@ -0,0 +1,116 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+const { ERROR_CATALOG, explainError } = require("../error-catalog");
+const configReference = require("../data/config-reference.json");
+
+// Errors as they show up in logs, by the catalog entry that explains them
+const SAMPLES = {
+  "inequivalent-queue-argument":
+    "PhpAmqpLib\\Exception\\AMQPProtocolChannelException: PRECONDITION_FAILED - inequivalent arg 'x-queue-type' for queue 'orders' in vhost '/': received the value 'quorum' of type 'longstr' but current is none",
+  "inequivalent-queue-flag":
+    "PRECONDITION_FAILED - inequivalent arg 'durable' for queue 'orders' in vhost '/': received 'true' but current is 'false'",
+  "inequivalent-exchange":
+    "PRECONDITION_FAILED - inequivalent arg 'type' for exchange 'orders' in vhost '/': received 'topic' but current is 'direct'",
+  "invalid-queue-argument":
+    "PRECONDITION_FAILED - invalid arg 'x-max-priority' for queue 'orders' in vhost '/': {unacceptable_type,longstr}",
+  "no-queue": "PhpAmqpLib\\Exception\\AMQPProtocolChannelException: NOT_FOUND - no queue 'orders' in vhost '/'",
+  "no-exchange": "NOT_FOUND - no exchange 'dlx' in vhost 'shop'",
+  "login-refused":
+    "PhpAmqpLib\\Exception\\AMQPConnectionClosedException: ACCESS_REFUSED - Login was refused using authentication mechanism AMQPLAIN. For details see the broker logfile.",
+  "resource-access-refused": "ACCESS_REFUSED - access to queue 'orders' in vhost '/' refused for user 'app'",
+  vhost: "NOT_ALLOWED - access to vhost 'shop' refused for user 'app'",
+  "exclusive-queue": "RESOURCE_LOCKED - cannot obtain exclusive access to locked queue 'rpc-reply' in vhost '/'",
+  "unknown-delivery-tag": "PRECONDITION_FAILED - unknown delivery tag 1",
+  "message-too-large": "PRECONDITION_FAILED - message size 209715200 is larger than configured max size 134217728",
+  "connection-refused":
+    "PhpAmqpLib\\Exception\\AMQPIOException: stream_socket_client(): unable to connect to tcp://localhost:5672 (Connection refused)",
+  "publish-confirm-timeout":
+    "PhpAmqpLib\\Exception\\AMQPTimeoutException: The connection timed out after 30 sec while awaiting incoming data\n#0 vendor/php-amqplib/php-amqplib/PhpAmqpLib/Channel/AMQPChannel.php(1234): PhpAmqpLib\\Channel\\AMQPChannel->wait_for_pending_acks()",
+  timeout: "PhpAmqpLib\\Exception\\AMQPTimeoutException: The connection timed out after 3 sec while awaiting incoming data",
+  heartbeat: "PhpAmqpLib\\Exception\\AMQPHeartbeatMissedException: Missed server heartbeat",
+  "connection-closed": "PhpAmqpLib\\Exception\\AMQPConnectionClosedException: CONNECTION_FORCED - broker forced connection closure with reason 'shutdown'",
+  "exchange-not-defined": "Bschmitt\\Amqp\\Exception\\Configuration: Please check your settings, exchange is not defined.",
+  "invalid-exchange-type":
+    "Bschmitt\\Amqp\\Exception\\Configuration: Invalid exchange type 'topics'. Valid types are: topic, direct, fanout, headers",
+  "connection-not-found": "InvalidArgumentException: Connection 'staging' not found in config",
+  "reply-without-properties": "RuntimeException: Cannot reply: original message has no reply_to property",
+  "confirms-disabled": "RuntimeException: Publisher confirms are not enabled. Call enablePublisherConfirms() first.",
+  "management-api": "RuntimeException: Management API error: Not_Authorized",
+};
+
+test("every catalog entry has a sample", () => {
+  assert.deepStrictEqual(
+    ERROR_CATALOG.map((entry) => entry.id).filter((id) => !SAMPLES[id]),
+    []
+  );
+});
+
+for (const [id, sample] of Object.entries(SAMPLES)) {
+  test(`explains ${id}`, () => {
+    const explanations = explainError(sample);
+
+    assert.strictEqual(explanations[0] && explanations[0].id, id);
+    explanations.forEach((explanation) => {
+      assert.doesNotMatch(`${explanation.cause} ${explanation.fix} ${explanation.keys}`, /\{\w+\}/, "unfilled placeholder");
+    });
+  });
+}
+
+test("fills placeholders from the error", () => {
+  const [explanation] = explainError(SAMPLES["inequivalent-queue-argument"]);
+
+  assert.strictEqual(explanation.cause.split(".")[0], "Queue `orders` already exists with `x-queue-type` = none, but this declaration asks for 'quorum'");
+  assert.deepStrictEqual(explanation.keys, ["queue_properties.x-queue-type"]);
+  assert.match(explanation.fix, /queueDelete\('orders'\)/);
+});
+
+test("reports every error of a trace in order, with the matched line", () => {
+  const trace = [
+    "[2024-05-01 10:00:00] local.ERROR: NOT_FOUND - no queue 'orders' in vhost '/'",
+    "[2024-05-01 10:00:05] local.ERROR: ACCESS_REFUSED - Login was refused using authentication mechanism AMQPLAIN.",
+  ].join("\n");
+  const explanations = explainError(trace);
+
+  assert.deepStrictEqual(
+    explanations.map((explanation) => explanation.id),
+    ["no-queue", "login-refused"]
+  );
+  assert.strictEqual(explanations[1].excerpt, trace.split("\n")[1]);
+});
+
+test("specific entries replace the generic ones they override", () => {
+  const ids = explainError(SAMPLES["publish-confirm-timeout"]).map((explanation) => explanation.id);
+
+  assert.deepStrictEqual(ids, ["publish-confirm-timeout"]);
+});
+
+test("returns nothing for unknown errors", () => {
+  assert.deepStrictEqual(explainError("Something else went wrong"), []);
+});
+
+test("config keys exist in config/amqp.php", () => {
+  const keys = new Set(configReference.keys.map((row) => row.key));
+
+  ERROR_CATALOG.forEach((entry) => {
+    entry.keys
+      .filter((key) => !key.includes("{"))
+      .forEach((key) => assert.ok(keys.has(key), `${entry.id}: unknown config key "${key}"`));
+  });
+});
+
+test("links point to existing docs sections", () => {
+  const slug = (text) => text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, "").replace(/\s+/g, "-");
+
+  ERROR_CATALOG.filter((entry) => entry.link).forEach((entry) => {
+    const [page, section] = entry.link.split("/");
+    const file = path.join(__dirname, "..", "content", `${page}.md`);
+    assert.ok(fs.existsSync(file), `${entry.id}: no page "${page}"`);
+
+    const headings = fs.readFileSync(file, "utf8").match(/^#{1,6} .+$/gm).map((heading) => slug(heading.replace(/^#+ /, "")));
+    assert.ok(headings.includes(section), `${entry.id}: no section "${section}" on ${page}`);
+  });
+});
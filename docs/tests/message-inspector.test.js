@@ -0,0 +1,235 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { DEATH_REASONS, parseVarDump, inspectMessage } = require("../message-inspector");
+const configReference = require("../data/config-reference.json");
+
+// var_dump($message->get_properties()) of a message read from the broker
+const PROPERTIES_DUMP = `/var/www/app/Jobs/ConsumeOrders.php:42:
+array(3) {
+  ["content_type"]=>
+  string(16) "application/json"
+  ["delivery_mode"]=>
+  int(2)
+  ["application_headers"]=>
+  object(PhpAmqpLib\\Wire\\AMQPTable)#412 (1) {
+    ["data":protected]=>
+    array(1) {
+      ["x-death"]=>
+      array(2) {
+        [0]=>
+        string(1) "A"
+        [1]=>
+        object(PhpAmqpLib\\Wire\\AMQPArray)#415 (1) {
+          ["data":protected]=>
+          array(1) {
+            [0]=>
+            array(2) {
+              [0]=>
+              string(1) "F"
+              [1]=>
+              object(PhpAmqpLib\\Wire\\AMQPTable)#416 (1) {
+                ["data":protected]=>
+                array(6) {
+                  ["count"]=>
+                  array(2) {
+                    [0]=>
+                    string(1) "l"
+                    [1]=>
+                    int(1)
+                  }
+                  ["reason"]=>
+                  array(2) {
+                    [0]=>
+                    string(1) "S"
+                    [1]=>
+                    string(7) "expired"
+                  }
+                  ["queue"]=>
+                  array(2) {
+                    [0]=>
+                    string(1) "S"
+                    [1]=>
+                    string(12) "orders.retry"
+                  }
+                  ["time"]=>
+                  array(2) {
+                    [0]=>
+                    string(1) "T"
+                    [1]=>
+                    int(1714557600)
+                  }
+                  ["exchange"]=>
+                  array(2) {
+                    [0]=>
+                    string(1) "S"
+                    [1]=>
+                    string(0) ""
+                  }
+                  ["routing-keys"]=>
+                  object(PhpAmqpLib\\Wire\\AMQPArray)#417 (1) {
+                    ["data":protected]=>
+                    array(1) {
+                      [0]=>
+                      array(2) {
+                        [0]=>
+                        string(1) "S"
+                        [1]=>
+                        string(12) "orders.retry"
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// The same headers as Xdebug prints them
+const XDEBUG_DUMP = `/var/www/app/Jobs/ConsumeOrders.php:43:
+class PhpAmqpLib\\Wire\\AMQPTable#412 (1) {
+  protected $data =>
+  array(1) {
+    'x-death' =>
+    array(2) {
+      [0] =>
+      string(1) "A"
+      [1] =>
+      class PhpAmqpLib\\Wire\\AMQPArray#415 (1) {
+        protected $data =>
+        array(1) {
+          [0] =>
+          array(2) {
+            [0] =>
+            string(1) "F"
+            [1] =>
+            class PhpAmqpLib\\Wire\\AMQPTable#416 (1) {
+              protected $data =>
+              array(3) {
+                'count' =>
+                array(2) {
+                  [0] =>
+                  string(1) "l"
+                  [1] =>
+                  int(2)
+                }
+                'reason' =>
+                array(2) {
+                  [0] =>
+                  string(1) "S"
+                  [1] =>
+                  string(8) "rejected"
+                }
+                'queue' =>
+                array(2) {
+                  [0] =>
+                  string(1) "S"
+                  [1] =>
+                  string(6) "orders"
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+test("reads var_dump() of get_properties()", () => {
+  const inspection = inspectMessage(PROPERTIES_DUMP);
+
+  assert.strictEqual(inspection.format, "var_dump");
+  assert.deepStrictEqual(inspection.problems, []);
+  assert.deepStrictEqual(
+    inspection.properties.map((property) => [property.key, property.value, property.description]),
+    [
+      ["content_type", "application/json", null],
+      ["delivery_mode", 2, "persistent"],
+    ]
+  );
+
+  const [death] = inspection.deaths;
+  assert.strictEqual(death.reason, "expired");
+  assert.strictEqual(death.queue, "orders.retry");
+  assert.strictEqual(death.exchange, "");
+  assert.deepStrictEqual(death.routingKeys, ["orders.retry"]);
+  assert.strictEqual(death.time.toISOString(), "2024-05-01T10:00:00.000Z");
+});
+
+test("reads var_dump() as formatted by Xdebug", () => {
+  const [death] = inspectMessage(XDEBUG_DUMP).deaths;
+
+  assert.deepStrictEqual([death.reason, death.queue, death.count], ["rejected", "orders", 2]);
+  assert.match(death.hint, /2 times/);
+});
+
+test("counts var_dump() string lengths in bytes", () => {
+  const value = parseVarDump('array(2) {\n  ["queue"]=>\n  string(18) "commandes.créées"\n  ["note"]=>\n  string(9) "say "hi"\n"\n}');
+
+  assert.deepStrictEqual(value, { queue: "commandes.créées", note: 'say "hi"\n' });
+});
+
+test("reads the management API message list", () => {
+  const json = JSON.stringify([
+    {
+      exchange: "orders",
+      routing_key: "orders.created",
+      properties: {
+        timestamp: 1714557600,
+        headers: {
+          "x-death": [{ count: 1, reason: "maxlen", queue: "orders", time: 1714557600, exchange: "orders", "routing-keys": ["orders.created"] }],
+          "x-first-death-queue": "orders",
+        },
+      },
+      payload: '{"order_id": 42}',
+    },
+    { properties: {} },
+  ]);
+  const inspection = inspectMessage(json);
+
+  assert.strictEqual(inspection.format, "json");
+  assert.deepStrictEqual(inspection.delivery, { exchange: "orders", routing_key: "orders.created" });
+  assert.strictEqual(inspection.properties[0].description, "2024-05-01 10:00:00 UTC");
+  assert.deepStrictEqual(inspection.headers, { "x-first-death-queue": "orders" });
+  assert.strictEqual(inspection.deaths[0].label, "Queue full");
+  assert.strictEqual(inspection.body, '{"order_id": 42}');
+  assert.deepStrictEqual(
+    inspection.problems.map((problem) => problem.message),
+    ["Showing the first of 2 messages."]
+  );
+});
+
+test("reads bare headers and per-message expirations", () => {
+  const json = JSON.stringify({ "x-death": [{ count: 1, reason: "expired", queue: "orders", "original-expiration": "60000" }] });
+  const [death] = inspectMessage(json).deaths;
+
+  assert.match(death.hint, /per-message `expiration` of 60000 ms/);
+});
+
+test("explains headers lost to json_encode()", () => {
+  const inspection = inspectMessage('{"content_type": "text/plain", "application_headers": {}}');
+
+  assert.strictEqual(inspection.problems.length, 1);
+  assert.match(inspection.problems[0].message, /getNativeData\(\)/);
+});
+
+test("reports messages without x-death and unreadable input", () => {
+  assert.match(inspectMessage('{"headers": {"x-tenant": "acme"}}').problems[0].message, /No x-death header/);
+  assert.strictEqual(inspectMessage("{ broken").problems[0].level, "error");
+  assert.strictEqual(inspectMessage("array(1) {\n  [0]=>\n  int(1)\n").problems[0].level, "error");
+  assert.deepStrictEqual(inspectMessage("  ").problems, []);
+});
+
+test("config keys exist in config/amqp.php", () => {
+  const keys = new Set(configReference.keys.map((row) => row.key));
+
+  Object.entries(DEATH_REASONS).forEach(([reason, entry]) => {
+    entry.keys.forEach((key) => assert.ok(keys.has(key), `${reason}: unknown config key "${key}"`));
+  });
+});
@@ -0,0 +1,222 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { topicMatches, routeMessage, DEAD_LETTER_MAX_STEPS, traceDeadLetters } = require("../routing");
+
+const routedQueues = (exchange, bindings, message) =>
+  routeMessage(exchange, bindings, message).queues.map((entry) => entry.queue);
+
+function queue(name, args = {}, type = "classic") {
+  return { name, type, args: { "x-dead-letter-exchange": null, ...args } };
+}
+
+// The tracer's default setup: rejected orders wait in orders.retry until
+// their TTL sends them back to the orders exchange
+function retryLoop() {
+  return {
+    exchanges: [
+      { name: "orders", type: "topic" },
+      { name: "orders.dlx", type: "direct" },
+    ],
+    queues: [
+      queue("orders", { "x-dead-letter-exchange": "orders.dlx", "x-dead-letter-routing-key": "retry" }),
+      queue("orders.retry", {
+        "x-message-ttl": 5000,
+        "x-dead-letter-exchange": "orders",
+        "x-dead-letter-routing-key": "orders.created",
+      }),
+      queue("orders.failed"),
+    ],
+    bindings: [
+      { exchange: "orders", queue: "orders", key: "orders.#" },
+      { exchange: "orders.dlx", queue: "orders.retry", key: "retry" },
+      { exchange: "orders.dlx", queue: "orders.failed", key: "failed" },
+    ],
+    start: { queue: "orders", key: "orders.created", reason: "rejected" },
+  };
+}
+
+const hops = (steps) => steps.map((step) => [step.depth, step.queue, step.reason, step.routingKey]);
+
+test("topic patterns match whole words", () => {
+  assert.ok(topicMatches("orders.*", "orders.created"));
+  assert.ok(!topicMatches("orders.*", "orders.created.eu"));
+  assert.ok(topicMatches("orders.#", "orders"));
+  assert.ok(topicMatches("#.eu", "orders.created.eu"));
+  assert.ok(!topicMatches("orders.created", "orders.paid"));
+});
+
+test("routes one copy per queue, however many bindings match", () => {
+  const exchange = { type: "topic", alternateExchange: "" };
+  const bindings = [
+    { queue: "audit", key: "#" },
+    { queue: "audit", key: "orders.*" },
+    { queue: "invoices", key: "orders.paid" },
+  ];
+
+  assert.deepStrictEqual(routeMessage(exchange, bindings, { key: "orders.paid" }).queues, [
+    { queue: "audit", bindings: ["#", "orders.*"] },
+    { queue: "invoices", bindings: ["orders.paid"] },
+  ]);
+  assert.strictEqual(routeMessage(exchange, bindings.slice(2), { key: "users.signup" }).outcome, "unroutable");
+});
+
+test("direct and fanout exchanges", () => {
+  const bindings = [
+    { queue: "orders", key: "orders" },
+    { queue: "audit", key: "" },
+  ];
+
+  assert.deepStrictEqual(routedQueues({ type: "direct" }, bindings, { key: "orders" }), ["orders"]);
+  assert.deepStrictEqual(routedQueues({ type: "direct" }, bindings, { key: "orders.paid" }), []);
+  assert.deepStrictEqual(routedQueues({ type: "fanout" }, bindings, { key: "anything" }), ["orders", "audit"]);
+});
+
+test("headers exchanges match all or any, ignoring x- headers by default", () => {
+  const exchange = { type: "headers" };
+  const bindings = [
+    { queue: "eu", match: "all", headers: "region=eu\nformat=json" },
+    { queue: "any", match: "any", headers: "region=eu\nformat=json" },
+    { queue: "retried", match: "all", headers: "x-retry" },
+    { queue: "retried-with-x", match: "all-with-x", headers: "x-retry" },
+  ];
+
+  assert.deepStrictEqual(routedQueues(exchange, bindings, { headers: "region=eu\nformat=json" }), ["eu", "any", "retried"]);
+  assert.deepStrictEqual(routedQueues(exchange, bindings, { headers: "format: json\nx-retry=1" }), [
+    "any",
+    "retried",
+    "retried-with-x",
+  ]);
+});
+
+test("unrouted messages go to the alternate exchange when there is one", () => {
+  const result = routeMessage({ type: "direct", alternateExchange: "unrouted" }, [], { key: "orders" });
+
+  assert.strictEqual(result.outcome, "alternate");
+  assert.strictEqual(result.alternateExchange, "unrouted");
+});
+
+test("a rejection loop goes round again on every reject", () => {
+  const steps = traceDeadLetters(retryLoop());
+
+  assert.deepStrictEqual(hops(steps), [
+    [0, "orders", "rejected", "orders.created"],
+    [1, "orders.retry", "expired", "retry"],
+    [2, "orders", null, "orders.created"],
+  ]);
+  assert.deepStrictEqual(steps[0].deadLetter, { exchange: "orders.dlx", routingKey: "retry" });
+  assert.strictEqual(steps[2].outcome.level, "warning");
+  assert.match(steps[2].outcome.message, /every time a consumer rejects/);
+});
+
+test("the broker drops a message caught in a TTL-only cycle", () => {
+  const setup = retryLoop();
+  setup.queues[0].args["x-message-ttl"] = 1000;
+  setup.start.reason = "expired";
+  const steps = traceDeadLetters(setup);
+
+  assert.strictEqual(steps.length, 3);
+  assert.strictEqual(steps[2].outcome.level, "danger");
+  assert.match(steps[2].outcome.message, /detects the cycle/);
+});
+
+test("keeps the routing key without x-dead-letter-routing-key", () => {
+  const setup = retryLoop();
+  setup.queues[0].args["x-dead-letter-routing-key"] = "";
+  setup.bindings.push({ exchange: "orders.dlx", queue: "orders.failed", key: "orders.created" });
+  const steps = traceDeadLetters(setup);
+
+  assert.deepStrictEqual(steps[0].deadLetter, { exchange: "orders.dlx", routingKey: "orders.created" });
+  assert.deepStrictEqual(hops(steps).slice(1), [[1, "orders.failed", null, "orders.created"]]);
+  assert.strictEqual(steps[1].outcome.level, "success");
+});
+
+test("null x-dead-letter-exchange discards, \"\" uses the default exchange", () => {
+  const setup = retryLoop();
+  setup.queues[0].args["x-dead-letter-exchange"] = null;
+  let steps = traceDeadLetters(setup);
+
+  assert.strictEqual(steps.length, 1);
+  assert.strictEqual(steps[0].deadLetter, null);
+  assert.match(steps[0].outcome.message, /no x-dead-letter-exchange/);
+
+  setup.queues[0].args["x-dead-letter-exchange"] = "";
+  setup.queues[0].args["x-dead-letter-routing-key"] = "orders.failed";
+  steps = traceDeadLetters(setup);
+
+  assert.deepStrictEqual(steps[0].deadLetter, { exchange: "", routingKey: "orders.failed" });
+  assert.deepStrictEqual(hops(steps).slice(1), [[1, "orders.failed", null, "orders.failed"]]);
+
+  setup.queues[0].args["x-dead-letter-routing-key"] = "nowhere";
+  steps = traceDeadLetters(setup);
+  assert.match(steps[0].outcome.message, /Nothing is bound to receive "nowhere"/);
+});
+
+test("a missing dead letter exchange drops the message", () => {
+  const setup = retryLoop();
+  setup.exchanges = setup.exchanges.filter((exchange) => exchange.name !== "orders.dlx");
+  const [step] = traceDeadLetters(setup);
+
+  assert.strictEqual(step.outcome.level, "danger");
+  assert.match(step.outcome.message, /Exchange "orders.dlx" does not exist/);
+});
+
+test("overflow dead-letters only with drop-head or reject-publish-dlx", () => {
+  const setup = retryLoop();
+  setup.start.reason = "maxlen";
+  assert.match(traceDeadLetters(setup)[0].outcome.message, /never overflows/);
+
+  setup.queues[0].args["x-max-length"] = 10;
+  setup.queues[0].args["x-overflow"] = "reject-publish";
+  const steps = traceDeadLetters(setup);
+  assert.strictEqual(steps.length, 1);
+  assert.strictEqual(steps[0].outcome.level, "warning");
+  assert.match(steps[0].outcome.message, /nothing is dead-lettered/);
+
+  setup.queues[0].args["x-overflow"] = "";
+  assert.match(traceDeadLetters(setup)[0].notes[0], /oldest one is dropped/);
+
+  setup.queues[0].args["x-overflow"] = "reject-publish-dlx";
+  setup.queues[0].type = "quorum";
+  assert.strictEqual(traceDeadLetters(setup)[0].outcome.level, "danger");
+});
+
+test("only quorum queues dead-letter on the delivery limit", () => {
+  const setup = retryLoop();
+  setup.start.reason = "delivery_limit";
+  let steps = traceDeadLetters(setup);
+
+  assert.strictEqual(steps.length, 1);
+  assert.match(steps[0].outcome.message, /Only quorum queues count deliveries/);
+
+  setup.queues[0].type = "quorum";
+  setup.queues[0].args["x-delivery-limit"] = 5;
+  steps = traceDeadLetters(setup);
+  assert.match(steps[0].notes[0], /more than 5 times/);
+  assert.strictEqual(steps[1].queue, "orders.retry");
+});
+
+test("fan-out traces every copy", () => {
+  const setup = retryLoop();
+  setup.exchanges[1].type = "fanout";
+  const steps = traceDeadLetters(setup);
+
+  assert.deepStrictEqual(
+    steps.filter((step) => step.depth === 1).map((step) => step.queue),
+    ["orders.retry", "orders.failed"]
+  );
+});
+
+test("stops growing after the step limit", () => {
+  // Every queue dead-letters to a fanout exchange bound to all of them
+  const names = Array.from({ length: 8 }, (_, index) => `q${index}`);
+  const steps = traceDeadLetters({
+    exchanges: [{ name: "all", type: "fanout" }],
+    queues: names.map((name) => queue(name, { "x-message-ttl": 1, "x-dead-letter-exchange": "all" })),
+    bindings: names.map((name) => ({ exchange: "all", queue: name, key: "" })),
+    start: { queue: "q0", key: "", reason: "expired" },
+  });
+
+  assert.strictEqual(steps.length, DEAD_LETTER_MAX_STEPS);
+});
@@ -0,0 +1,159 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+const { HEADING_ID_PREFIX, sanitizeHtml } = require("../sanitize");
+const { marked } = require("../vendor/marked/marked.umd.js");
+
+const render = (markdown) => sanitizeHtml(marked.parse(markdown));
+
+test("keeps the markup the docs renderer produces", () => {
+  const html =
+    '<h2 id="section-setup">Setup<a class="heading-anchor" href="#guide/setup" title="Copy link" aria-label="Copy link">#</a></h2>\n' +
+    '<pre data-highlight="3,5-7" data-diff="+- "><code class="language-php">$a = 1;\n</code></pre>\n' +
+    '<div class="code-group"><button type="button" class="code-group-tab active" role="tab" aria-selected="true" data-label="Laravel">Laravel</button></div>\n' +
+    '<table><thead><tr><th align="left">Key</th></tr></thead><tbody><tr><td align="left"><code>host</code></td></tr></tbody></table>';
+
+  assert.strictEqual(sanitizeHtml(html), html);
+});
+
+test("drops script and style elements with their content", () => {
+  const html = render("Hello\n\n<script>alert(1)</script>\n\n<style>body { display: none }</style>\n\nWorld");
+
+  assert.doesNotMatch(html, /script|alert|style|display/i);
+  assert.match(html, /Hello/);
+  assert.match(html, /World/);
+});
+
+test("drops event handlers and unknown attributes", () => {
+  const html = render('<img src="x" onerror="alert(1)" style="position:fixed">\n\n<p onclick=alert(1) class="note">text</p>');
+
+  assert.strictEqual(html, '<img src="x"><p>text</p>');
+});
+
+test("keeps ids only on headings, with the renderer's prefix", () => {
+  assert.strictEqual(HEADING_ID_PREFIX, "section-");
+  assert.strictEqual(sanitizeHtml('<h3 id="section-retries">Retries</h3>'), '<h3 id="section-retries">Retries</h3>');
+  // Ids the app itself uses must not be claimed by content
+  assert.strictEqual(sanitizeHtml('<h2 id="app">App</h2><div id="section-x">x</div>'), "<h2>App</h2><div>x</div>");
+});
+
+test("keeps only the classes the renderer emits", () => {
+  assert.strictEqual(
+    sanitizeHtml('<div class="admonition admonition-tip sidebar"><p class="admonition-title">Tip</p></div>'),
+    '<div class="admonition admonition-tip"><p class="admonition-title">Tip</p></div>'
+  );
+  assert.strictEqual(sanitizeHtml('<code class="language-php">x</code>'), '<code class="language-php">x</code>');
+  assert.strictEqual(sanitizeHtml('<span class="search-modal tool-verdict">x</span>'), "<span>x</span>");
+});
+
+test("drops tags outside the allowlist but keeps their text", () => {
+  const html = sanitizeHtml('<form action="https://evil.example"><label>Name</label><base href="https://evil.example"></form>');
+
+  assert.strictEqual(html, "Name");
+});
+
+test("drops svg and iframe payloads entirely", () => {
+  const html = sanitizeHtml('<svg><script>alert(1)</script><a href="javascript:alert(1)">x</a></svg><iframe src="https://evil.example"></iframe>ok');
+
+  assert.strictEqual(html, "ok");
+});
+
+for (const href of [
+  "javascript:alert(1)",
+  "JaVaScRiPt:alert(1)",
+  " javascript:alert(1)",
+  "java\tscript:alert(1)",
+  "jav&#x09;ascript:alert(1)",
+  "&#106;avascript:alert(1)",
+  "javascript&#58;alert(1)",
+  "vbscript:msgbox(1)",
+  "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+]) {
+  test(`removes unsafe link target ${JSON.stringify(href)}`, () => {
+    const html = sanitizeHtml(`<a href="${href}">click</a>`);
+
+    assert.strictEqual(html, "<a>click</a>");
+  });
+}
+
+test("removes unsafe links written in markdown", () => {
+  const html = render("[click](javascript:alert(1)) and ![img](data:image/svg+xml;base64,PHN2Zz4=)");
+
+  assert.strictEqual(html, '<p><a>click</a> and <img alt="img"></p>\n');
+});
+
+test("neutralizes entities the sanitizer does not decode", () => {
+  const html = sanitizeHtml('<a href="javascript&colon;alert(1)">click</a>');
+
+  assert.strictEqual(html, '<a href="javascript&amp;colon;alert(1)">click</a>');
+});
+
+test("escapes attribute values that try to break out", () => {
+  const html = sanitizeHtml(`<a title='x" onmouseover="alert(1)'>hover</a>`);
+
+  assert.strictEqual(html, '<a title="x&quot; onmouseover=&quot;alert(1)">hover</a>');
+});
+
+test("escapes malformed tags instead of passing them through", () => {
+  assert.strictEqual(sanitizeHtml("<scr<script>ipt>alert(1)</script>"), "ipt&gt;alert(1)");
+  assert.strictEqual(sanitizeHtml('<a href="x>unterminated'), '&lt;a href="x&gt;unterminated');
+  assert.strictEqual(sanitizeHtml("1 < 2 > 0"), "1 &lt; 2 &gt; 0");
+});
+
+test("removes comments and doctypes", () => {
+  const html = sanitizeHtml('<!-- <img src=x onerror=alert(1)> --><!DOCTYPE html><?xml version="1.0"?><p>ok</p>');
+
+  assert.strictEqual(html, "<p>ok</p>");
+});
+
+test("closes unbalanced tags and drops stray closing tags", () => {
+  assert.strictEqual(sanitizeHtml("<div><p>open"), "<div><p>open</p></div>");
+  assert.strictEqual(sanitizeHtml("</div><p>text</p></span>"), "<p>text</p>");
+  assert.strictEqual(sanitizeHtml("<ul><li>one</ul>after"), "<ul><li>one</li></ul>after");
+});
+
+test("only keeps task list checkboxes, always disabled", () => {
+  assert.strictEqual(sanitizeHtml('<input type="text" value="x">'), "");
+  assert.strictEqual(sanitizeHtml('<input type="checkbox" checked>'), '<input type="checkbox" checked="" disabled="">');
+  assert.match(render("- [x] done"), /<input checked="" disabled="" type="checkbox">/);
+});
+
+test("opens external links in a new tab", () => {
+  const html = render("[Packagist](https://packagist.org/packages/bschmitt/laravel-amqp) and [RabbitMQ](//rabbitmq.com)");
+
+  assert.match(html, /<a href="https:\/\/packagist\.org\/packages\/bschmitt\/laravel-amqp" target="_blank" rel="noopener">/);
+  assert.match(html, /<a href="\/\/rabbitmq\.com" target="_blank" rel="noopener">/);
+});
+
+test("replaces a hostile target or rel on external links", () => {
+  const html = sanitizeHtml('<a href="https://example.com" target="_self" rel="opener">x</a>');
+
+  assert.strictEqual(html, '<a href="https://example.com" target="_blank" rel="noopener">x</a>');
+});
+
+test("keeps in-app and mail links as they are", () => {
+  assert.strictEqual(render("[RPC](#rpc)"), '<p><a href="#rpc">RPC</a></p>\n');
+  assert.strictEqual(render("[Lumen](#installation/lumen-setup)"), '<p><a href="#installation/lumen-setup">Lumen</a></p>\n');
+  assert.strictEqual(render("[Mail](mailto:docs@example.com)"), '<p><a href="mailto:docs@example.com">Mail</a></p>\n');
+});
+
+test("rewrites links to markdown pages into in-app routes", () => {
+  assert.strictEqual(render("[Publishing](publishing.md)"), '<p><a href="#publishing">Publishing</a></p>\n');
+  assert.strictEqual(render("[Retries](./consuming.md#retries)"), '<p><a href="#consuming/retries">Retries</a></p>\n');
+});
+
+test("renders every content page without losing text", () => {
+  const content = path.join(__dirname, "..", "content");
+
+  fs.readdirSync(content)
+    .filter((file) => file.endsWith(".md"))
+    .forEach((file) => {
+      const html = marked.parse(fs.readFileSync(path.join(content, file), "utf8"));
+      const text = (markup) => markup.replace(/<[^>]*>/g, "");
+
+      assert.strictEqual(text(sanitizeHtml(html)), text(html), file);
+    });
+});
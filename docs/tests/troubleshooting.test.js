@@ -0,0 +1,77 @@
+// Run with: node --test docs/tests/
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { TROUBLESHOOTING_START, TROUBLESHOOTING_TREE } = require("../troubleshooting");
+const { marked } = require("../vendor/marked/marked.umd.js");
+const configReference = require("../data/config-reference.json");
+
+const nodes = Object.entries(TROUBLESHOOTING_TREE);
+
+test("starts at an existing step", () => {
+  assert.ok(TROUBLESHOOTING_TREE[TROUBLESHOOTING_START]);
+});
+
+test("every answer leads to an existing step", () => {
+  nodes.forEach(([id, node]) => {
+    (node.answers || []).forEach((answer) => {
+      assert.ok(TROUBLESHOOTING_TREE[answer.next], `${id}: "${answer.label}" leads to unknown step "${answer.next}"`);
+    });
+  });
+});
+
+test("every step can be reached from the start", () => {
+  const reached = new Set();
+  const visit = (id) => {
+    if (reached.has(id)) return;
+    reached.add(id);
+    (TROUBLESHOOTING_TREE[id].answers || []).forEach((answer) => visit(answer.next));
+  };
+  visit(TROUBLESHOOTING_START);
+
+  assert.deepStrictEqual(
+    nodes.map(([id]) => id).filter((id) => !reached.has(id)),
+    []
+  );
+});
+
+test("every walk ends in a diagnosis", () => {
+  const walk = (id, seen) => {
+    assert.ok(!seen.includes(id), `loop: ${[...seen, id].join(" -> ")}`);
+    const node = TROUBLESHOOTING_TREE[id];
+    if (!node.answers) {
+      assert.ok(node.body, `diagnosis "${id}" has no body`);
+      return;
+    }
+    node.answers.forEach((answer) => walk(answer.next, [...seen, id]));
+  };
+  walk(TROUBLESHOOTING_START, []);
+});
+
+test("question steps ask a question and diagnoses do not", () => {
+  nodes.forEach(([id, node]) => {
+    assert.ok(node.title, `${id} has no title`);
+    if (node.answers) {
+      assert.ok(node.question, `${id} has answers but no question`);
+      assert.ok(node.answers.length > 1, `${id} needs at least two answers`);
+    } else {
+      assert.strictEqual(node.question, undefined, `${id} asks a question without answers`);
+    }
+  });
+});
+
+test("config keys exist in config/amqp.php", () => {
+  const keys = new Set(configReference.keys.map((row) => row.key));
+
+  nodes.forEach(([id, node]) => {
+    (node.keys || []).forEach((key) => assert.ok(keys.has(key), `${id}: unknown config key "${key}"`));
+  });
+});
+
+test("step bodies are markdown with closed code fences", () => {
+  nodes.forEach(([id, node]) => {
+    if (!node.body) return;
+    const fences = marked.lexer(node.body).filter((token) => token.type === "code");
+    assert.strictEqual((node.body.match(/^```/gm) || []).length, fences.length * 2, `${id} has an unclosed code fence`);
+  });
+});
@@ -0,0 +1,308 @@
+// Decision tree behind the Troubleshooting Wizard. Every node is one step:
+//
+//   "node-id": {
+//     title: "Shown in the trail of answered steps",
+//     body: "Markdown, rendered like a docs page (code fences, links, ...)",
+//     keys: ["connect_options"],               // config keys, linked to the Config Reference
+//     question: "Asked below the body",        // question steps only
+//     answers: [{ label: "...", next: "other-node-id" }],
+//   }
+//
+// Steps without answers are diagnoses and end the walk. The wizard starts at
+// TROUBLESHOOTING_START. Add a step by adding a node here and pointing an
+// answer at it; "node --test docs/tests/" checks that every answer leads to
+// a node, every node can be reached and every key exists in config/amqp.php.
+const TROUBLESHOOTING_START = "start";
+
+const TROUBLESHOOTING_TREE = {
+  start: {
+    title: "Symptom",
+    question: "What are you seeing?",
+    answers: [
+      { label: "The connection to RabbitMQ fails", next: "connection" },
+      { label: "Messages are published but never arrive", next: "not-delivered" },
+      { label: "A consumer is running but stays idle or exits", next: "consumer-idle" },
+      { label: "An RPC call times out", next: "rpc-timeout" },
+      { label: "Memory keeps growing", next: "memory" },
+      { label: "Messages disappear, e.g. after a restart", next: "messages-lost" },
+      { label: "Declaring a queue or exchange fails with PRECONDITION_FAILED", next: "precondition" },
+    ],
+  },
+
+  connection: {
+    title: "Connection fails",
+    body: "Run the smallest possible publish from `php artisan tinker` and look at the exception message:\n\n```php\nAmqp::publish('test', 'ping');\n```",
+    question: "Which error do you get?",
+    answers: [
+      { label: "Connection refused, or a timeout without an AMQP error", next: "connection-refused" },
+      { label: "ACCESS_REFUSED - Login was refused", next: "access-refused" },
+      { label: "NOT_ALLOWED - vhost not found, or access to vhost refused", next: "vhost" },
+      { label: "The connection works, then drops (missed heartbeats, broken pipe)", next: "heartbeat" },
+    ],
+  },
+
+  "connection-refused": {
+    title: "Refused or timed out",
+    body: "Check whether the port is reachable from the machine running PHP:\n\n```bash\nnc -vz rabbit.example.com 5672\n```",
+    keys: ["host", "port"],
+    question: "Does the port accept connections?",
+    answers: [
+      { label: "No, the port is closed or unreachable", next: "broker-unreachable" },
+      { label: "Yes, but PHP still times out or hangs", next: "tls-mismatch" },
+    ],
+  },
+
+  "broker-unreachable": {
+    title: "Broker unreachable",
+    body:
+      "Nothing listens on `host`:`port`, or a firewall is in between.\n\n" +
+      "- Check the broker is running: `rabbitmqctl status`\n" +
+      "- In Docker, `localhost` is the PHP container itself. Use the service name of the broker instead.\n" +
+      "- Make sure the port is published (`5672:5672`) and open in security groups and firewalls.\n\n" +
+      "```env [.env]\nAMQP_HOST=rabbitmq\nAMQP_PORT=5672\n```",
+    keys: ["host", "port"],
+  },
+
+  "tls-mismatch": {
+    title: "Plain and TLS ports mixed up",
+    body:
+      "A TCP connection that opens but never completes the AMQP handshake usually means one side speaks TLS and the other does not. " +
+      "Any non-empty `ssl_options` makes the package connect with TLS, so it has to match the port: 5672 is plain AMQP, 5671 is AMQPS by default.\n\n" +
+      "```php [config/amqp.php]\n'port'        => env('AMQP_PORT', 5671),\n'ssl_options' => [\n    'cafile'      => '/etc/ssl/certs/rabbitmq-ca.pem',\n    'verify_peer' => true,\n],\n```\n\n" +
+      "Lower `connection_timeout` in `connect_options` to fail fast while testing. " +
+      "The [Connection URI Converter](#uri-converter) fills in both from an `amqps://` URI.",
+    keys: ["port", "ssl_options", "connect_options"],
+  },
+
+  "access-refused": {
+    title: "Login refused",
+    body:
+      "The broker rejected the user name or password.\n\n" +
+      "- The `guest` user can only connect from localhost. Create a user for remote clients.\n" +
+      "- Quote passwords with `#`, spaces or `$` in `.env`, otherwise they are cut off.\n" +
+      "- After changing `.env`, run `php artisan config:clear` if the config is cached.\n\n" +
+      "```bash\nrabbitmqctl add_user app 'secret'\nrabbitmqctl set_permissions -p / app '.*' '.*' '.*'\n```",
+    keys: ["username", "password"],
+  },
+
+  vhost: {
+    title: "Vhost missing or not permitted",
+    body:
+      "The user logged in, but the vhost does not exist or the user has no permissions on it. " +
+      "The default vhost is `/`; in a URI it is written `%2F`.\n\n" +
+      "```bash\nrabbitmqctl add_vhost orders\nrabbitmqctl set_permissions -p orders app '.*' '.*' '.*'\n```",
+    keys: ["vhost"],
+  },
+
+  heartbeat: {
+    title: "Connection drops",
+    body:
+      "php-amqplib only answers heartbeats while it waits on the socket. A callback that works longer than two heartbeat intervals " +
+      "makes the broker close the connection.\n\n" +
+      "- Raise `heartbeat`, or move long work out of the consumer callback.\n" +
+      "- Keep `read_write_timeout` at least twice the heartbeat.\n\n" +
+      "```php [config/amqp.php]\n'connect_options' => [\n    'heartbeat'          => 60,\n    'read_write_timeout' => 130,\n],\n```",
+    keys: ["connect_options"],
+  },
+
+  "not-delivered": {
+    title: "Messages never arrive",
+    body: "Open the queue in the management UI (or `rabbitmqctl list_queues name messages consumers`) right after publishing.",
+    question: "Does the message count of the queue go up?",
+    answers: [
+      { label: "No, the queue stays empty", next: "unroutable" },
+      { label: "Yes, messages pile up in the queue", next: "consumer-idle" },
+      { label: "The queue does not exist", next: "queue-missing" },
+    ],
+  },
+
+  unroutable: {
+    title: "Message is unroutable",
+    body:
+      "The exchange accepted the message but no binding matched its routing key, so the broker dropped it.\n\n" +
+      "- The routing key must match a binding: on a topic exchange `*` is one word and `#` is any number of words.\n" +
+      "- Publisher and consumer must use the same `exchange`.\n" +
+      "- Set an `alternate-exchange` to catch unroutable messages instead of losing them.\n\n" +
+      "Try the bindings in the [Routing Simulator](#routing-simulator).",
+    keys: ["exchange", "exchange_type", "exchange_properties.alternate-exchange"],
+  },
+
+  "queue-missing": {
+    title: "Queue never declared",
+    body:
+      "`publish()` only declares a queue when a `queue` name is passed, or always with `queue_force_declare`. " +
+      "Messages published before any consumer declared and bound the queue are unroutable.\n\n" +
+      "```php\nAmqp::publish('orders.created', $body, [\n    'queue'               => 'orders',\n    'queue_force_declare' => true,\n]);\n```",
+    keys: ["queue_force_declare", "queue_durable"],
+  },
+
+  "consumer-idle": {
+    title: "Idle consumer",
+    question: "What does the consumer do?",
+    answers: [
+      { label: "consume() returns right away, even though messages arrive later", next: "consumer-exits" },
+      { label: "It handles one message (or a few) and then stops receiving", next: "unacked" },
+      { label: "It never receives anything", next: "wrong-queue" },
+    ],
+  },
+
+  "consumer-exits": {
+    title: "Consumer stops when the queue is empty",
+    body:
+      "Without `persistent`, `consume()` returns as soon as the queue is empty, and `timeout` ends the wait after that many seconds of silence. " +
+      "Long-running workers need both set:\n\n" +
+      "```php\nAmqp::consume('orders', function ($message, $resolver) {\n    // ...\n    $resolver->acknowledge($message);\n}, [\n    'persistent' => true,\n    'timeout'    => 0,\n]);\n```",
+    keys: ["persistent", "timeout"],
+  },
+
+  unacked: {
+    title: "Messages are never acknowledged",
+    body:
+      "The broker stops delivering once a consumer holds `qos_prefetch_count` unacknowledged messages. " +
+      "Every code path of the callback, including errors, must acknowledge or reject the message.\n\n" +
+      "```php\nAmqp::consume('orders', function ($message, $resolver) {\n    try {\n        handle($message->body);\n        $resolver->acknowledge($message);\n    } catch (\\Throwable $e) {\n        $resolver->reject($message, false);\n    }\n});\n```",
+    keys: ["qos", "qos_prefetch_count", "consumer_no_ack"],
+  },
+
+  "wrong-queue": {
+    title: "Consuming the wrong queue",
+    body:
+      "Compare the queue name and vhost the consumer uses with the queue that holds the messages. " +
+      "A consumer on another `vhost` or connection (`use`) sees different queues with the same names.\n\n" +
+      "```bash\nrabbitmqctl list_queues -p / name messages consumers\n```",
+    keys: ["vhost", "use"],
+  },
+
+  "rpc-timeout": {
+    title: "RPC timeout",
+    body: "`rpc()` returns `null` when no reply with the matching `correlation_id` arrives within the timeout.",
+    question: "Does the RPC server receive the request?",
+    answers: [
+      { label: "No, the server never logs the request", next: "rpc-not-routed" },
+      { label: "Yes, but the client still times out", next: "rpc-no-reply" },
+      { label: "Yes, the reply is just slow", next: "rpc-slow" },
+    ],
+  },
+
+  "rpc-not-routed": {
+    title: "Request not routed to the server",
+    body:
+      "The request is published to the configured `exchange` with the routing key passed to `rpc()`. " +
+      "The server's queue has to be bound to that exchange with a matching key, and the server has to be running before the client calls.\n\n" +
+      "```php\n// Server\nAmqp::listen('rpc.users', $handler, ['queue' => 'rpc-users', 'persistent' => true]);\n\n// Client\n$response = app('Amqp')->rpc('rpc.users', $request, [], 10);\n```",
+    keys: ["exchange", "exchange_type"],
+  },
+
+  "rpc-no-reply": {
+    title: "Reply never sent",
+    body:
+      "The server has to answer with `reply()`, which copies `reply_to` and `correlation_id` from the request. " +
+      "It throws when either is missing, so publish requests through `rpc()` and do not overwrite them.\n\n" +
+      "```php\nAmqp::consume('rpc-users', function ($message, $resolver) {\n    $resolver->reply($message, json_encode(lookup($message->body)));\n    $resolver->acknowledge($message);\n});\n```\n\n" +
+      "See [reply()](#api-reference/consumer-reply) in the API Reference.",
+    keys: [],
+  },
+
+  "rpc-slow": {
+    title: "Timeout too short",
+    body:
+      "Pass a timeout that covers the slowest request as the fourth argument of `rpc()`, and keep `read_write_timeout` above it " +
+      "so the socket does not give up first.\n\n" +
+      "```php\n$response = app('Amqp')->rpc('rpc.reports', $request, [], 60);\n```",
+    keys: ["connect_options"],
+  },
+
+  memory: {
+    title: "Memory grows",
+    question: "Where does memory grow?",
+    answers: [
+      { label: "On the RabbitMQ broker", next: "broker-memory" },
+      { label: "In the PHP consumer process", next: "worker-memory" },
+    ],
+  },
+
+  "broker-memory": {
+    title: "Messages pile up on the broker",
+    body:
+      "Queues without consumers, or consumers that never acknowledge, keep every message in the broker. " +
+      "Limit the queues and let expired messages go to a dead letter exchange:\n\n" +
+      "```php [config/amqp.php]\n'queue_properties' => [\n    'x-max-length'           => 100000,\n    'x-message-ttl'          => 86400000,\n    'x-dead-letter-exchange' => 'dlx',\n],\n```\n\n" +
+      "The [Queue Arguments Builder](#queue-builder) checks the combination against the queue type.",
+    keys: ["queue_properties.x-max-length", "queue_properties.x-message-ttl", "queue_properties.x-dead-letter-exchange"],
+  },
+
+  "worker-memory": {
+    title: "Consumer process grows",
+    body:
+      "A prefetch without limit makes the broker push the whole queue into the PHP process. " +
+      "Enable QoS with a small prefetch, and restart long-running workers periodically (e.g. with Supervisor) to release leaked memory.\n\n" +
+      "```php [config/amqp.php]\n'qos'                => true,\n'qos_prefetch_count' => 10,\n```",
+    keys: ["qos", "qos_prefetch_count", "qos_prefetch_size"],
+  },
+
+  "messages-lost": {
+    title: "Messages disappear",
+    question: "When are they lost?",
+    answers: [
+      { label: "After the broker restarts", next: "not-durable" },
+      { label: "While the consumer is processing them", next: "auto-ack" },
+      { label: "Some publishes never reach the broker", next: "no-confirms" },
+    ],
+  },
+
+  "not-durable": {
+    title: "Not persisted",
+    body:
+      "Only persistent messages in durable queues survive a restart. `publish()` sends persistent messages (`delivery_mode` 2) by default, " +
+      "so check the queue was declared durable. An existing queue keeps its flags: delete and declare it again.\n\n" +
+      "```php [config/amqp.php]\n'exchange_durable' => true,\n'queue_durable'    => true,\n```",
+    keys: ["queue_durable", "exchange_durable"],
+  },
+
+  "auto-ack": {
+    title: "Auto-acknowledged",
+    body:
+      "With `consumer_no_ack` the broker forgets a message as soon as it is delivered, so a crash in the callback loses it. " +
+      "Turn it off and acknowledge after processing.",
+    keys: ["consumer_no_ack"],
+  },
+
+  "no-confirms": {
+    title: "Publishes not confirmed",
+    body:
+      "Without publisher confirms a publish is fire-and-forget. Enable confirms to get an exception when the broker does not take the message.\n\n" +
+      "```php [config/amqp.php]\n'publisher_confirms' => true,\n'wait_for_confirms'  => true,\n'publish_timeout'    => 30,\n```",
+    keys: ["publisher_confirms", "wait_for_confirms", "publish_timeout"],
+  },
+
+  precondition: {
+    title: "PRECONDITION_FAILED",
+    body: "The broker refuses to redeclare an existing queue or exchange with different settings. The error names the argument that differs.",
+    question: "What does the error say?",
+    answers: [
+      { label: "inequivalent arg 'type' for exchange", next: "exchange-mismatch" },
+      { label: "inequivalent arg 'x-…' or 'durable' for queue", next: "queue-mismatch" },
+    ],
+  },
+
+  "exchange-mismatch": {
+    title: "Exchange declared with another type",
+    body:
+      "The exchange exists with a different type or durability. Match `exchange_type` to the existing exchange, or only check it exists with `exchange_passive`.\n\n" +
+      "```php\nAmqp::publish('orders.created', $body, [\n    'exchange'         => 'orders',\n    'exchange_passive' => true,\n]);\n```",
+    keys: ["exchange_type", "exchange_durable", "exchange_passive"],
+  },
+
+  "queue-mismatch": {
+    title: "Queue declared with other arguments",
+    body:
+      "Queue arguments cannot change after the queue exists. Either make `queue_properties` match the existing queue, declare it passively, " +
+      "or delete it (losing its messages) and let the package declare it again. For limits and TTLs that change, prefer a [policy](#policy-builder).\n\n" +
+      "```php\napp('Amqp')->queueDelete('orders');\n```",
+    keys: ["queue_properties", "queue_durable", "queue_passive"],
+  },
+};
+
+if (typeof module !== "undefined") {
+  module.exports = { TROUBLESHOOTING_START, TROUBLESHOOTING_TREE };
+}